@@ -0,0 +1,41 @@
+// --- Bundled city list ---
+// Observer presets that work offline. Latitude/longitude in degrees (east
+// positive) and the IANA time zone of each city.
+
+export const CITIES = [
+    { id: 'seoul', name: '서울', lat: 37.5665, lon: 126.9780, timeZone: 'Asia/Seoul' },
+    { id: 'busan', name: '부산', lat: 35.1796, lon: 129.0756, timeZone: 'Asia/Seoul' },
+    { id: 'daejeon', name: '대전', lat: 36.3504, lon: 127.3845, timeZone: 'Asia/Seoul' },
+    { id: 'gwangju', name: '광주', lat: 35.1595, lon: 126.8526, timeZone: 'Asia/Seoul' },
+    { id: 'jeju', name: '제주', lat: 33.4996, lon: 126.5312, timeZone: 'Asia/Seoul' },
+    { id: 'tokyo', name: '도쿄', lat: 35.6762, lon: 139.6503, timeZone: 'Asia/Tokyo' },
+    { id: 'beijing', name: '베이징', lat: 39.9042, lon: 116.4074, timeZone: 'Asia/Shanghai' },
+    { id: 'singapore', name: '싱가포르', lat: 1.3521, lon: 103.8198, timeZone: 'Asia/Singapore' },
+    { id: 'jakarta', name: '자카르타', lat: -6.2088, lon: 106.8456, timeZone: 'Asia/Jakarta' },
+    { id: 'delhi', name: '뉴델리', lat: 28.6139, lon: 77.2090, timeZone: 'Asia/Kolkata' },
+    { id: 'dubai', name: '두바이', lat: 25.2048, lon: 55.2708, timeZone: 'Asia/Dubai' },
+    { id: 'sydney', name: '시드니', lat: -33.8688, lon: 151.2093, timeZone: 'Australia/Sydney' },
+    { id: 'melbourne', name: '멜버른', lat: -37.8136, lon: 144.9631, timeZone: 'Australia/Melbourne' },
+    { id: 'perth', name: '퍼스', lat: -31.9505, lon: 115.8605, timeZone: 'Australia/Perth' },
+    { id: 'auckland', name: '오클랜드', lat: -36.8485, lon: 174.7633, timeZone: 'Pacific/Auckland' },
+    { id: 'honolulu', name: '호놀룰루', lat: 21.3069, lon: -157.8583, timeZone: 'Pacific/Honolulu' },
+    { id: 'los-angeles', name: '로스앤젤레스', lat: 34.0522, lon: -118.2437, timeZone: 'America/Los_Angeles' },
+    { id: 'new-york', name: '뉴욕', lat: 40.7128, lon: -74.0060, timeZone: 'America/New_York' },
+    { id: 'mexico-city', name: '멕시코시티', lat: 19.4326, lon: -99.1332, timeZone: 'America/Mexico_City' },
+    { id: 'quito', name: '키토', lat: -0.1807, lon: -78.4678, timeZone: 'America/Guayaquil' },
+    { id: 'sao-paulo', name: '상파울루', lat: -23.5505, lon: -46.6333, timeZone: 'America/Sao_Paulo' },
+    { id: 'buenos-aires', name: '부에노스아이레스', lat: -34.6037, lon: -58.3816, timeZone: 'America/Argentina/Buenos_Aires' },
+    { id: 'london', name: '런던', lat: 51.5074, lon: -0.1278, timeZone: 'Europe/London' },
+    { id: 'paris', name: '파리', lat: 48.8566, lon: 2.3522, timeZone: 'Europe/Paris' },
+    { id: 'moscow', name: '모스크바', lat: 55.7558, lon: 37.6173, timeZone: 'Europe/Moscow' },
+    { id: 'reykjavik', name: '레이캬비크', lat: 64.1466, lon: -21.9426, timeZone: 'Atlantic/Reykjavik' },
+    { id: 'cairo', name: '카이로', lat: 30.0444, lon: 31.2357, timeZone: 'Africa/Cairo' },
+    { id: 'nairobi', name: '나이로비', lat: -1.2921, lon: 36.8219, timeZone: 'Africa/Nairobi' },
+    { id: 'cape-town', name: '케이프타운', lat: -33.9249, lon: 18.4241, timeZone: 'Africa/Johannesburg' }
+];
+
+export const DEFAULT_CITY_ID = 'seoul';
+
+export function findCity(id) {
+    return CITIES.find((city) => city.id === id) || null;
+}
@@ -0,0 +1,103 @@
+// --- Coordinate frames ---
+// Obliquity of the ecliptic, nutation, and conversions between the
+// ecliptic, equatorial, horizontal and Earth-fixed frames.
+
+import { DEG, RAD, polynomial, normalizeDegrees, wrapDegrees } from './math.js';
+import { toJulianEphemerisDay, julianCenturies, getGreenwichSiderealTime } from './time.js';
+
+// Mean obliquity of the ecliptic in degrees (Meeus 22.2)
+export function getMeanObliquity(date) {
+    const T = julianCenturies(toJulianEphemerisDay(date));
+    return polynomial(T, [84381.448, -46.8150, -0.00059, 0.001813]) / 3600;
+}
+
+// Nutation in longitude and obliquity, in degrees. Abbreviated IAU 1980 series
+// (Meeus ch. 22, accurate to ~0.5"), which is plenty for apparent positions here.
+export function getNutation(date) {
+    const T = julianCenturies(toJulianEphemerisDay(date));
+    const omega = polynomial(T, [125.04452, -1934.136261, 0.0020708, 1 / 450000]) * DEG;
+    const sunMeanLon = polynomial(T, [280.4665, 36000.7698]) * DEG;
+    const moonMeanLon = polynomial(T, [218.3165, 481267.8813]) * DEG;
+
+    const dPsi = -17.20 * Math.sin(omega) - 1.32 * Math.sin(2 * sunMeanLon)
+        - 0.23 * Math.sin(2 * moonMeanLon) + 0.21 * Math.sin(2 * omega);
+    const dEps = 9.20 * Math.cos(omega) + 0.57 * Math.cos(2 * sunMeanLon)
+        + 0.10 * Math.cos(2 * moonMeanLon) - 0.09 * Math.cos(2 * omega);
+
+    return { dPsi: dPsi / 3600, dEps: dEps / 3600 };
+}
+
+// True obliquity (mean + nutation), in degrees
+export function getTrueObliquity(date) {
+    return getMeanObliquity(date) + getNutation(date).dEps;
+}
+
+// Apparent Greenwich sidereal time in degrees. The equinox apparent positions
+// are referred to is the true one, so add the equation of the equinoxes.
+export function getApparentSiderealTime(date) {
+    const { dPsi, dEps } = getNutation(date);
+    const eps = (getMeanObliquity(date) + dEps) * DEG;
+    return normalizeDegrees(getGreenwichSiderealTime(date) + dPsi * Math.cos(eps));
+}
+
+// Apparent ecliptic longitude/latitude (degrees) -> right ascension and
+// declination of date, in degrees (Meeus 13.3, 13.4)
+export function eclipticToEquatorial(lon, lat, date) {
+    const eps = getTrueObliquity(date) * DEG;
+    const l = lon * DEG;
+    const b = lat * DEG;
+    return {
+        ra: normalizeDegrees(Math.atan2(Math.sin(l) * Math.cos(eps) - Math.tan(b) * Math.sin(eps), Math.cos(l)) * RAD),
+        dec: Math.asin(Math.sin(b) * Math.cos(eps) + Math.cos(b) * Math.sin(eps) * Math.sin(l)) * RAD
+    };
+}
+
+// Equatorial -> horizontal for an observer at geographic lat/lon (degrees,
+// east positive). Azimuth is measured from north through east; hourAngle is
+// west of the meridian. (Meeus 13.5, 13.6, azimuth shifted to north-based)
+export function equatorialToHorizontal(ra, dec, date, lat, lon) {
+    const H = (getApparentSiderealTime(date) + lon - ra) * DEG;
+    const phi = lat * DEG;
+    const d = dec * DEG;
+    return {
+        altitude: Math.asin(Math.sin(phi) * Math.sin(d) + Math.cos(phi) * Math.cos(d) * Math.cos(H)) * RAD,
+        azimuth: normalizeDegrees(Math.atan2(Math.sin(H), Math.cos(H) * Math.sin(phi) - Math.tan(d) * Math.cos(phi)) * RAD + 180),
+        hourAngle: wrapDegrees(H * RAD)
+    };
+}
+
+// Parallactic angle in degrees (Meeus 14.1): the position angle of the
+// zenith at an object, i.e. how far "up" in the observer's sky is turned
+// from celestial north, counted towards the east
+export function getParallacticAngle(hourAngle, dec, lat) {
+    const H = hourAngle * DEG;
+    return Math.atan2(
+        Math.sin(H),
+        Math.tan(lat * DEG) * Math.cos(dec * DEG) - Math.sin(dec * DEG) * Math.cos(H)
+    ) * RAD;
+}
+
+// Rotate a geocentric ecliptic-of-date vector [x, y, z] into Earth-fixed axes
+// (x through the Greenwich meridian on the equator, z to the north pole)
+export function eclipticToEarthFixed(v, date) {
+    const eps = getTrueObliquity(date) * DEG;
+    const x = v[0];
+    const y = v[1] * Math.cos(eps) - v[2] * Math.sin(eps);
+    const z = v[1] * Math.sin(eps) + v[2] * Math.cos(eps);
+
+    const theta = getApparentSiderealTime(date) * DEG;
+    return [
+        x * Math.cos(theta) + y * Math.sin(theta),
+        -x * Math.sin(theta) + y * Math.cos(theta),
+        z
+    ];
+}
+
+// Geographic latitude/longitude (degrees, east positive) of an Earth-fixed vector
+export function earthFixedToLatLon(v) {
+    const r = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+    return {
+        lat: Math.asin(v[2] / r) * RAD,
+        lon: Math.atan2(v[1], v[0]) * RAD
+    };
+}
@@ -0,0 +1,157 @@
+// --- Solar eclipse ground track ---
+// Where the Moon's shadow falls on Earth during a solar eclipse: the central
+// line (where the shadow axis meets the surface), the northern and southern
+// limits of the umbra/antumbra (the path of totality or annularity), and the
+// limits of the penumbra (where any partial eclipse is seen).
+// Earth is treated as a sphere and the cone edges as parallel to the axis
+// over Earth's width, which keeps the limits within a few tens of km.
+
+import { getMoonPosition } from './moon.js';
+import { getSunPosition } from './sun.js';
+import { getMoonShadow, EARTH_RADIUS_KM } from './shadows.js';
+import { eclipticToEarthFixed, earthFixedToLatLon } from './coords.js';
+
+const MINUTE = 60 * 1000;
+// The penumbra takes up to ~6 hours to cross Earth
+const SEARCH_WINDOW = 4 * 60 * MINUTE;
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const normalize = (a) => {
+    const l = Math.sqrt(dot(a, a));
+    return [a[0] / l, a[1] / l, a[2] / l];
+};
+
+const subtract = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+
+// The Moon's shadow at one instant, in ecliptic axes (km)
+function inertialShadowAt(date) {
+    return getMoonShadow(getMoonPosition(date), getSunPosition(date));
+}
+
+// The Moon's shadow at one instant, in Earth-fixed axes (km)
+function shadowAt(date) {
+    const shadow = inertialShadowAt(date);
+    return {
+        ...shadow,
+        origin: eclipticToEarthFixed(shadow.origin, date),
+        axis: eclipticToEarthFixed(shadow.axis, date)
+    };
+}
+
+// First point where the line origin + t * dir meets Earth's surface
+function hitEarth(origin, dir) {
+    const b = dot(origin, dir);
+    const c = dot(origin, origin) - EARTH_RADIUS_KM * EARTH_RADIUS_KM;
+    const disc = b * b - c;
+    if (disc < 0) return null;
+    const t = -b - Math.sqrt(disc);
+    return { point: [origin[0] + t * dir[0], origin[1] + t * dir[1], origin[2] + t * dir[2]], distance: t };
+}
+
+// Sideways direction for the limits: perpendicular to the axis and to the
+// shadow's track over the ground, pointing roughly north. The track is the
+// drift of the central line's hit point; while the axis misses Earth it is
+// the shadow's motion in ecliptic axes, since in Earth-fixed axes Earth's
+// spin (~1500 km/min at the Moon's distance) swamps it.
+function sideDirection(date, shadow, central) {
+    const later = new Date(date.getTime() + MINUTE);
+    let motion = null;
+    if (central) {
+        const next = shadowAt(later);
+        const nextHit = hitEarth(next.origin, next.axis);
+        if (nextHit) motion = subtract(nextHit.point, central.point);
+    }
+    if (!motion) {
+        const drift = subtract(inertialShadowAt(later).origin, inertialShadowAt(date).origin);
+        motion = eclipticToEarthFixed(drift, date);
+    }
+    const side = normalize(cross(shadow.axis, motion));
+    return side[2] < 0 ? side.map((c) => -c) : side;
+}
+
+// Hit point of the shadow axis shifted sideways by `offset` km
+function hitOffset(shadow, side, offset) {
+    const origin = [
+        shadow.origin[0] + side[0] * offset,
+        shadow.origin[1] + side[1] * offset,
+        shadow.origin[2] + side[2] * offset
+    ];
+    const hit = hitEarth(origin, shadow.axis);
+    return hit && earthFixedToLatLon(hit.point);
+}
+
+// Where the shadow axis meets Earth at a given instant: { lat, lon, umbraRadius }
+// (umbraRadius in km, negative for an antumbra), or null if it misses.
+export function getShadowCenter(date) {
+    const shadow = shadowAt(date);
+    const hit = hitEarth(shadow.origin, shadow.axis);
+    if (!hit) return null;
+    return {
+        ...earthFixedToLatLon(hit.point),
+        umbraRadius: shadow.casterRadius - hit.distance * shadow.umbraSlope
+    };
+}
+
+// Ground track of a solar eclipse (from astro/eclipses.js). Every line is a
+// list of polylines (arrays of { lat, lon }), split wherever it leaves Earth.
+//   centralLine, northLimit, southLimit   umbra/antumbra path (empty for partial eclipses)
+//   penumbraNorth, penumbraSouth          limits of the partial eclipse
+//   start, end                            first and last contact of the penumbra
+export function getEclipsePath(eclipse, stepMinutes = 1) {
+    const lines = {
+        centralLine: [[]],
+        northLimit: [[]],
+        southLimit: [[]],
+        penumbraNorth: [[]],
+        penumbraSouth: [[]]
+    };
+    const add = (name, point) => {
+        const polylines = lines[name];
+        const current = polylines[polylines.length - 1];
+        if (point) {
+            current.push(point);
+        } else if (current.length > 0) {
+            polylines.push([]);
+        }
+    };
+
+    let start = null;
+    let end = null;
+    const t0 = eclipse.date.getTime() - SEARCH_WINDOW;
+    const t1 = eclipse.date.getTime() + SEARCH_WINDOW;
+    const step = stepMinutes * MINUTE;
+
+    for (let t = t0; t <= t1; t += step) {
+        const date = new Date(t);
+        const shadow = shadowAt(date);
+        const central = hitEarth(shadow.origin, shadow.axis);
+        const side = sideDirection(date, shadow, central);
+        const distance = central ? central.distance : -dot(shadow.origin, shadow.axis);
+        const umbra = Math.abs(shadow.casterRadius - distance * shadow.umbraSlope);
+        const penumbra = shadow.casterRadius + distance * shadow.penumbraSlope;
+
+        if (eclipse.type !== 'partial') {
+            add('centralLine', central && earthFixedToLatLon(central.point));
+            add('northLimit', hitOffset(shadow, side, umbra));
+            add('southLimit', hitOffset(shadow, side, -umbra));
+        }
+        const north = hitOffset(shadow, side, penumbra);
+        const south = hitOffset(shadow, side, -penumbra);
+        add('penumbraNorth', north);
+        add('penumbraSouth', south);
+
+        // The penumbra touches Earth while its edge is within one Earth radius
+        // of the centre
+        const axisGap = Math.sqrt(Math.max(dot(shadow.origin, shadow.origin) - distance * distance, 0));
+        if (axisGap < EARTH_RADIUS_KM + penumbra) {
+            if (!start) start = date;
+            end = date;
+        }
+    }
+
+    for (const name of Object.keys(lines)) {
+        lines[name] = lines[name].filter((polyline) => polyline.length > 1);
+    }
+    return { ...lines, start, end };
+}
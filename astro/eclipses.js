@@ -0,0 +1,208 @@
+// --- Eclipse prediction ---
+// Walks the new and full moons in a date range and tests each one for an
+// eclipse with the method of Meeus ch. 54: the Moon's argument of latitude F
+// tells us how close to a node the syzygy falls, and gamma (the least distance
+// of the shadow axis from Earth's centre, in Earth radii) decides the type.
+// Times are good to a few minutes, which is plenty to find and show them.
+
+import { normalizeDegrees, polynomial, sinDeg, cosDeg } from './math.js';
+import { fromJulianDay, toJulianDay, deltaT } from './time.js';
+import { getMoonPosition } from './moon.js';
+import { getSunPosition } from './sun.js';
+
+const SYNODIC_MONTH = 29.530588861;
+// Lunation number k = 0 is the new moon of 2000 January 6
+const LUNATION_EPOCH = 2451550.09766;
+
+// Reference eclipses for numbering Saros series: 2024 Apr 8 (k = 300, solar
+// Saros 139) and 2025 Mar 14 (k = 311.5, lunar Saros 123)
+const SOLAR_SAROS_REFERENCE = { k: 300, saros: 139 };
+const LUNAR_SAROS_REFERENCE = { k: 311.5, saros: 123 };
+const SAROS_LUNATIONS = 223;
+const INEX_LUNATIONS = 358;
+const INEX_INVERSE = 38; // 358 * 38 = 1 (mod 223)
+
+// Find every solar and lunar eclipse between two Dates, sorted by time.
+// Each eclipse is:
+//   kind       'solar' | 'lunar'
+//   type       'total' | 'annular' | 'hybrid' | 'partial' | 'penumbral'
+//   date       instant of greatest eclipse (UT)
+//   magnitude  solar: fraction of the Sun's diameter covered (or the
+//              Moon/Sun diameter ratio for central eclipses);
+//              lunar: umbral magnitude (penumbral magnitude for penumbral ones)
+//   gamma      shadow axis distance from Earth's centre, Earth radii
+//   saros      Saros series number
+// Lunar eclipses also carry penumbralMagnitude and semidurations (minutes)
+// of the penumbral, partial and total phases.
+export function findEclipses(start, end) {
+    const eclipses = [];
+    const first = Math.floor(lunationAt(start)) - 1;
+    const last = Math.ceil(lunationAt(end)) + 1;
+
+    for (let n = first; n <= last; n++) {
+        for (const k of [n, n + 0.5]) {
+            const eclipse = eclipseAtLunation(k);
+            if (eclipse && eclipse.date >= start && eclipse.date <= end) {
+                eclipses.push(eclipse);
+            }
+        }
+    }
+
+    return eclipses.sort((a, b) => a.date - b.date);
+}
+
+// First eclipse after a date, optionally of one kind ('solar' / 'lunar')
+export function findNextEclipse(date, kind) {
+    const start = Math.floor(lunationAt(date));
+    // There are at least four eclipses a year, so two years always finds one
+    for (let i = 0; i < 2 * 2 * 25; i++) {
+        const eclipse = eclipseAtLunation(start + i / 2);
+        if (!eclipse || (kind && eclipse.kind !== kind)) continue;
+        if (eclipse.date > date) return eclipse;
+    }
+    return null;
+}
+
+// Approximate (fractional) lunation number of a date
+function lunationAt(date) {
+    return (toJulianDay(date) - LUNATION_EPOCH) / SYNODIC_MONTH;
+}
+
+// Test the new moon (integer k) or full moon (k + 0.5) for an eclipse
+export function eclipseAtLunation(k) {
+    const isSolar = Number.isInteger(k);
+    const T = k / 1236.85;
+
+    const F = normalizeDegrees(polynomial(T, [160.7108, 0, -0.0016118, -0.00000227, 0.000000011]) + 390.67050284 * k);
+    // Too far from a node for the shadows to touch
+    if (Math.abs(sinDeg(F)) > 0.36) return null;
+
+    const M = normalizeDegrees(polynomial(T, [2.5534, 0, -0.0000014, -0.00000011]) + 29.10535670 * k);
+    const Mp = normalizeDegrees(polynomial(T, [201.5643, 0, 0.0107582, 0.00001238, -0.000000058]) + 385.81693528 * k);
+    const omega = polynomial(T, [124.7746, 0, 0.0020672, 0.00000215]) - 1.56375588 * k;
+    const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+    const F1 = F - 0.02665 * sinDeg(omega);
+    const A1 = 299.77 + 0.107408 * k - 0.009173 * T * T;
+
+    // Time of greatest eclipse (JDE)
+    let jde = LUNATION_EPOCH + SYNODIC_MONTH * k
+        + polynomial(T, [0, 0, 0.00015437, -0.000000150, 0.00000000073]);
+    jde += isSolar
+        ? -0.4075 * sinDeg(Mp) + 0.1721 * E * sinDeg(M)
+        : -0.4065 * sinDeg(Mp) + 0.1727 * E * sinDeg(M);
+    jde += 0.0161 * sinDeg(2 * Mp)
+        - 0.0097 * sinDeg(2 * F1)
+        + 0.0073 * E * sinDeg(Mp - M)
+        - 0.0050 * E * sinDeg(Mp + M)
+        - 0.0023 * sinDeg(Mp - 2 * F1)
+        + 0.0021 * E * sinDeg(2 * M)
+        + 0.0012 * sinDeg(Mp + 2 * F1)
+        + 0.0006 * E * sinDeg(2 * Mp + M)
+        - 0.0004 * sinDeg(3 * Mp)
+        - 0.0003 * E * sinDeg(M + 2 * F1)
+        + 0.0003 * sinDeg(A1)
+        - 0.0002 * E * sinDeg(M - 2 * F1)
+        - 0.0002 * E * sinDeg(2 * Mp - M)
+        - 0.0002 * sinDeg(omega);
+
+    const P = 0.2070 * E * sinDeg(M) + 0.0024 * E * sinDeg(2 * M)
+        - 0.0392 * sinDeg(Mp) + 0.0116 * sinDeg(2 * Mp)
+        - 0.0073 * E * sinDeg(Mp + M) + 0.0067 * E * sinDeg(Mp - M)
+        + 0.0118 * sinDeg(2 * F1);
+    const Q = 5.2207 - 0.0048 * E * cosDeg(M) + 0.0020 * E * cosDeg(2 * M)
+        - 0.3299 * cosDeg(Mp) - 0.0060 * E * cosDeg(Mp + M)
+        + 0.0041 * E * cosDeg(Mp - M);
+    const W = Math.abs(cosDeg(F1));
+    const gamma = (P * cosDeg(F1) + Q * sinDeg(F1)) * (1 - 0.0048 * W);
+    const u = 0.0059 + 0.0046 * E * cosDeg(M) - 0.0182 * cosDeg(Mp)
+        + 0.0004 * cosDeg(2 * Mp) - 0.0005 * cosDeg(M + Mp);
+
+    const date = jdeToDate(jde);
+    return isSolar
+        ? classifySolar(k, date, gamma, u)
+        : classifyLunar(k, date, gamma, u, Mp);
+}
+
+function classifySolar(k, date, gamma, u) {
+    const absGamma = Math.abs(gamma);
+    if (absGamma > 1.5433 + u) return null;
+
+    const eclipse = { kind: 'solar', date, gamma, saros: sarosNumber(k, SOLAR_SAROS_REFERENCE) };
+
+    // The shadow axis misses the Earth: only the penumbra (or the edge of the
+    // umbra, for the rare non-central total/annular eclipses) reaches it
+    const central = absGamma < 0.9972;
+    if (!central && absGamma > 0.9972 + Math.abs(u)) {
+        eclipse.type = 'partial';
+        eclipse.magnitude = (1.5433 + u - absGamma) / (0.5461 + 2 * u);
+        eclipse.central = false;
+        return eclipse;
+    }
+
+    if (u < 0) {
+        eclipse.type = 'total';
+    } else if (u > 0.0047) {
+        eclipse.type = 'annular';
+    } else {
+        // Umbra vertex close to the Earth's surface: total near the middle of
+        // the track, annular at its ends
+        eclipse.type = u < 0.00464 * Math.sqrt(1 - gamma * gamma) ? 'hybrid' : 'annular';
+    }
+    eclipse.central = central;
+    eclipse.magnitude = diameterRatio(date);
+    return eclipse;
+}
+
+function classifyLunar(k, date, gamma, u, Mp) {
+    const absGamma = Math.abs(gamma);
+    const penumbralMagnitude = (1.5573 + u - absGamma) / 0.5450;
+    if (penumbralMagnitude <= 0) return null;
+
+    const umbralMagnitude = (1.0128 - u - absGamma) / 0.5450;
+    const type = umbralMagnitude <= 0 ? 'penumbral' : umbralMagnitude >= 1 ? 'total' : 'partial';
+
+    // Semidurations in minutes (the Moon moves ~0.55 Earth radii per hour)
+    const n = 0.5458 + 0.0400 * cosDeg(Mp);
+    const semiduration = (radius) => (radius > absGamma ? 60 / n * Math.sqrt(radius * radius - gamma * gamma) : 0);
+
+    return {
+        kind: 'lunar',
+        type,
+        date,
+        gamma,
+        saros: sarosNumber(k, LUNAR_SAROS_REFERENCE),
+        magnitude: type === 'penumbral' ? penumbralMagnitude : umbralMagnitude,
+        penumbralMagnitude,
+        semidurations: {
+            penumbral: semiduration(1.5573 + u),
+            partial: semiduration(1.0128 - u),
+            total: semiduration(0.4678 - u)
+        }
+    };
+}
+
+// Apparent diameter of the Moon over the Sun's at greatest eclipse. The Moon
+// is near the zenith there, so its distance is taken one Earth radius closer.
+function diameterRatio(date) {
+    const moon = getMoonPosition(date);
+    const sun = getSunPosition(date);
+    const moonSemidiameter = 358473400 / (moon.dist - 6378.14);
+    const sunSemidiameter = 959.63 / sun.dist;
+    return moonSemidiameter / sunSemidiameter;
+}
+
+// Eclipses one saros (223 lunations) apart share a series; one inex
+// (358 lunations) later the series number goes up by one. Solve
+// dk = 223 * a + 358 * b and take the solution with the fewest saros steps.
+function sarosNumber(k, reference) {
+    const dk = Math.round(k - reference.k);
+    let b = ((dk * INEX_INVERSE) % SAROS_LUNATIONS + SAROS_LUNATIONS) % SAROS_LUNATIONS;
+    if (b > SAROS_LUNATIONS / 2) b -= SAROS_LUNATIONS;
+    return reference.saros + b;
+}
+
+function jdeToDate(jde) {
+    const approx = fromJulianDay(jde);
+    const year = approx.getUTCFullYear() + approx.getUTCMonth() / 12;
+    return new Date(approx.getTime() - deltaT(year) * 1000);
+}
@@ -0,0 +1,57 @@
+// --- Kepler's equation ---
+// Two-body helpers used to draw the orbits as ellipses and, for teaching, to
+// exaggerate their eccentricity while keeping the rest of the motion real.
+
+import { DEG, RAD, normalizeDegrees } from './math.js';
+
+// Beyond this the Moon's exaggerated perigee would run into the Earth model
+export const MAX_EXAGGERATED_ECCENTRICITY = 0.6;
+
+// Solve M = E - e sin E for the eccentric anomaly E (Newton-Raphson).
+// Angles in degrees.
+export function solveKepler(meanAnomaly, e) {
+    const M = normalizeDegrees(meanAnomaly) * DEG;
+    let E = e < 0.8 ? M : Math.PI;
+    for (let i = 0; i < 30; i++) {
+        const delta = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+        E -= delta;
+        if (Math.abs(delta) < 1e-12) break;
+    }
+    return E * RAD;
+}
+
+// True anomaly (degrees) and radius (in units of the semi-major axis)
+export function keplerPosition(meanAnomaly, e) {
+    const E = solveKepler(meanAnomaly, e) * DEG;
+    const trueAnomaly = 2 * Math.atan2(
+        Math.sqrt(1 + e) * Math.sin(E / 2),
+        Math.sqrt(1 - e) * Math.cos(E / 2)
+    ) * RAD;
+    return { trueAnomaly, radius: 1 - e * Math.cos(E) };
+}
+
+// Radius (units of a) on the ellipse at a given true anomaly
+export function ellipseRadius(trueAnomaly, e) {
+    return (1 - e * e) / (1 + e * Math.cos(trueAnomaly * DEG));
+}
+
+// Stretch a body's orbit to eccentricity e * factor.
+// lon/radius are the real position (radius in units of a). Only the two-body
+// part of the motion is exaggerated: the difference between the real and the
+// exaggerated Kepler solution for the same mean anomaly is added on top, so
+// perturbations are kept and factor 1 returns the input unchanged.
+// orbit = { meanAnomaly, eccentricity } in degrees.
+export function exaggerateOrbit(lon, radius, orbit, factor) {
+    if (factor === 1) return { lon, radius, eccentricity: orbit.eccentricity };
+
+    const e = orbit.eccentricity;
+    const stretched = Math.min(e * factor, MAX_EXAGGERATED_ECCENTRICITY);
+    const real = keplerPosition(orbit.meanAnomaly, e);
+    const exaggerated = keplerPosition(orbit.meanAnomaly, stretched);
+
+    return {
+        lon: normalizeDegrees(lon + exaggerated.trueAnomaly - real.trueAnomaly),
+        radius: radius * exaggerated.radius / real.radius,
+        eccentricity: stretched
+    };
+}
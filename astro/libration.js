@@ -0,0 +1,46 @@
+// --- Lunar libration ---
+// The Moon keeps one face to Earth, but its tilted axis and elliptical orbit
+// let us see a few degrees past either limb over a month. This is the
+// optical libration (Meeus ch. 53), geocentric; the physical libration adds
+// at most a few hundredths of a degree and is left out.
+
+import { DEG, RAD, normalizeDegrees, wrapDegrees, sinDeg, cosDeg } from './math.js';
+import { toJulianEphemerisDay, julianCenturies } from './time.js';
+import { getNutation, getTrueObliquity, eclipticToEquatorial } from './coords.js';
+import { getMoonPosition, lunarArguments } from './moon.js';
+
+// Inclination of the lunar equator to the ecliptic, degrees
+const LUNAR_EQUATOR_INCLINATION = 1.54242;
+
+// lon, lat: selenographic longitude/latitude of the sub-Earth point (the
+//           centre of the disc), degrees; lon > 0 turns the eastern limb
+//           (Mare Crisium) towards us, lat > 0 tips the north pole towards us
+// positionAngle: position angle of the Moon's north pole, degrees from
+//           celestial north through east
+export function getLibration(date, moon = getMoonPosition(date)) {
+    const T = julianCenturies(toJulianEphemerisDay(date));
+    const { Lp, F } = lunarArguments(T);
+    const { dPsi } = getNutation(date);
+    const node = normalizeDegrees(Lp - F); // Mean ascending node
+    const I = LUNAR_EQUATOR_INCLINATION;
+
+    // Meeus 53.1
+    const W = moon.lon - dPsi - node;
+    const A = Math.atan2(
+        sinDeg(W) * cosDeg(moon.lat) * cosDeg(I) - sinDeg(moon.lat) * sinDeg(I),
+        cosDeg(W) * cosDeg(moon.lat)
+    ) * RAD;
+    const lon = wrapDegrees(A - F);
+    const lat = Math.asin(-sinDeg(W) * cosDeg(moon.lat) * sinDeg(I) - sinDeg(moon.lat) * cosDeg(I)) * RAD;
+
+    // Position angle of the axis (Meeus 53.2, without the physical terms)
+    const V = node + dPsi;
+    const eps = getTrueObliquity(date);
+    const X = sinDeg(I) * sinDeg(V);
+    const Y = sinDeg(I) * cosDeg(V) * cosDeg(eps) - cosDeg(I) * sinDeg(eps);
+    const omega = Math.atan2(X, Y) * RAD;
+    const { ra } = eclipticToEquatorial(moon.lon, moon.lat, date);
+    const positionAngle = Math.asin(Math.hypot(X, Y) * cosDeg(ra - omega) / Math.cos(lat * DEG)) * RAD;
+
+    return { lon, lat, positionAngle };
+}
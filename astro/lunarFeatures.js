@@ -0,0 +1,32 @@
+// --- Named lunar features ---
+// A short list of well-known maria, impact basins, craters and landing
+// sites for the nomenclature map. Selenographic latitude/longitude in
+// degrees (east positive, IAU convention), rounded to a tenth of a degree.
+
+export const LUNAR_FEATURES = [
+    { name: '폭풍의 대양', lat: 18.4, lon: -57.4, type: 'mare' },
+    { name: '비의 바다', lat: 32.8, lon: -15.6, type: 'mare' },
+    { name: '맑음의 바다', lat: 28.0, lon: 17.5, type: 'mare' },
+    { name: '고요의 바다', lat: 8.5, lon: 31.4, type: 'mare' },
+    { name: '위난의 바다', lat: 17.0, lon: 59.1, type: 'mare' },
+    { name: '풍요의 바다', lat: -7.8, lon: 51.3, type: 'mare' },
+    { name: '감로주의 바다', lat: -15.2, lon: 35.5, type: 'mare' },
+    { name: '구름의 바다', lat: -21.3, lon: -16.6, type: 'mare' },
+    { name: '습기의 바다', lat: -24.4, lon: -38.6, type: 'mare' },
+    { name: '추위의 바다', lat: 56.0, lon: 1.4, type: 'mare' },
+    { name: '동쪽의 바다', lat: -19.4, lon: -92.8, type: 'mare' },
+    { name: '모스크바의 바다', lat: 27.3, lon: 147.9, type: 'mare' },
+    { name: '남극-에이트켄 분지', lat: -53.0, lon: -169.0, type: 'basin' },
+    { name: '코페르니쿠스', lat: 9.6, lon: -20.1, type: 'crater' },
+    { name: '티코', lat: -43.3, lon: -11.4, type: 'crater' },
+    { name: '케플러', lat: 8.1, lon: -38.0, type: 'crater' },
+    { name: '아리스타르코스', lat: 23.7, lon: -47.4, type: 'crater' },
+    { name: '플라톤', lat: 51.6, lon: -9.4, type: 'crater' },
+    { name: '클라비우스', lat: -58.4, lon: -14.4, type: 'crater' },
+    { name: '그리말디', lat: -5.2, lon: -68.6, type: 'crater' },
+    { name: '치올코프스키', lat: -20.4, lon: 129.1, type: 'crater' },
+    { name: '아폴로 11호', lat: 0.7, lon: 23.5, type: 'site' },
+    { name: '아폴로 15호', lat: 26.1, lon: 3.6, type: 'site' },
+    { name: '아폴로 17호', lat: 20.2, lon: 30.8, type: 'site' },
+    { name: '창어 4호', lat: -45.4, lon: 177.6, type: 'site' }
+];
@@ -0,0 +1,34 @@
+// --- Angle helpers shared by the astronomy modules ---
+// Everything in astro/ works in degrees (as the Meeus formulas are written)
+// and converts to radians only at the point of calling Math.sin/cos.
+
+export const DEG = Math.PI / 180;
+export const RAD = 180 / Math.PI;
+
+export function normalizeDegrees(angle) {
+    const a = angle % 360;
+    return a < 0 ? a + 360 : a;
+}
+
+// Wrap into (-180, 180] - handy for differences between two longitudes
+export function wrapDegrees(angle) {
+    const a = normalizeDegrees(angle);
+    return a > 180 ? a - 360 : a;
+}
+
+export function sinDeg(angle) {
+    return Math.sin(angle * DEG);
+}
+
+export function cosDeg(angle) {
+    return Math.cos(angle * DEG);
+}
+
+// Evaluate c0 + c1*t + c2*t^2 + ... (Horner)
+export function polynomial(t, coefficients) {
+    let result = 0;
+    for (let i = coefficients.length - 1; i >= 0; i--) {
+        result = result * t + coefficients[i];
+    }
+    return result;
+}
@@ -0,0 +1,233 @@
+// --- Observer on Earth's surface ---
+// Where the simulated observer stands, and what the sky looks like from there.
+// An observer is a plain { cityId, name, lat, lon, timeZone } object (degrees,
+// east positive); cityId and timeZone (IANA) are null for a hand-entered position.
+
+import SunCalc from 'suncalc';
+import { DEG, RAD, normalizeDegrees } from './math.js';
+import { MS_PER_DAY } from './time.js';
+import { eclipticToEquatorial, equatorialToHorizontal, getParallacticAngle, eclipticToEarthFixed } from './coords.js';
+import { getMoonPosition } from './moon.js';
+import { getSunPosition } from './sun.js';
+import { startOfZonedDay, zonedTimeToDate, getZonedParts } from './timeZone.js';
+import { EARTH_RADIUS_KM } from './shadows.js';
+import { DEFAULT_CITY_ID, findCity } from './cities.js';
+
+export function observerFromCity(city) {
+    return { cityId: city.id, name: city.name, lat: city.lat, lon: city.lon, timeZone: city.timeZone };
+}
+
+export const DEFAULT_OBSERVER = observerFromCity(findCity(DEFAULT_CITY_ID));
+
+// A hand-entered position. Returns null if the numbers are out of range.
+export function createObserver(lat, lon, name = null) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        return null;
+    }
+    return { cityId: null, name: name || formatLatLon(lat, lon), lat, lon, timeZone: null };
+}
+
+export function formatLatLon(lat, lon) {
+    const ns = lat >= 0 ? 'N' : 'S';
+    const ew = lon >= 0 ? 'E' : 'W';
+    return `${Math.abs(lat).toFixed(2)}°${ns} ${Math.abs(lon).toFixed(2)}°${ew}`;
+}
+
+// Moon's topocentric altitude/azimuth (degrees, azimuth from north through
+// east) for the observer. The Moon is close enough that seen from the surface
+// it sits up to ~1 deg lower than from Earth's centre (horizontal parallax).
+// Also returns its { ra, dec }, hour angle and parallactic angle.
+export function getMoonHorizontal(observer, date, moon = getMoonPosition(date)) {
+    const { ra, dec } = eclipticToEquatorial(moon.lon, moon.lat, date);
+    const horizontal = equatorialToHorizontal(ra, dec, date, observer.lat, observer.lon);
+    const parallax = Math.asin(EARTH_RADIUS_KM / moon.dist * Math.cos(horizontal.altitude * DEG)) * RAD;
+    return {
+        ...horizontal,
+        altitude: horizontal.altitude - parallax,
+        ra,
+        dec,
+        parallacticAngle: getParallacticAngle(horizontal.hourAngle, dec, observer.lat)
+    };
+}
+
+// Rotate a geocentric ecliptic vector [x, y, z] (astro/shadows.js) into the
+// observer's local [east, north, up] axes. Directions only; see
+// eclipticToTopocentric for positions.
+export function eclipticToLocal(v, observer, date) {
+    const [x, y, z] = eclipticToEarthFixed(v, date);
+    const sinLat = Math.sin(observer.lat * DEG);
+    const cosLat = Math.cos(observer.lat * DEG);
+    const sinLon = Math.sin(observer.lon * DEG);
+    const cosLon = Math.cos(observer.lon * DEG);
+    return [
+        -sinLon * x + cosLon * y,
+        -sinLat * cosLon * x - sinLat * sinLon * y + cosLat * z,
+        cosLat * cosLon * x + cosLat * sinLon * y + sinLat * z
+    ];
+}
+
+// A geocentric ecliptic position (km) as seen from the observer on the
+// surface, in local [east, north, up] km. Includes the Moon's parallax.
+export function eclipticToTopocentric(v, observer, date) {
+    const [east, north, up] = eclipticToLocal(v, observer, date);
+    return [east, north, up - EARTH_RADIUS_KM];
+}
+
+// Sun's altitude/azimuth for the observer (degrees, geometric, centre of disc)
+export function getSunHorizontal(observer, date, sun = getSunPosition(date)) {
+    const { ra, dec } = eclipticToEquatorial(sun.lon, 0, date);
+    return equatorialToHorizontal(ra, dec, date, observer.lat, observer.lon);
+}
+
+// Sun altitudes at which the sky changes: sunrise/sunset (upper limb on the
+// refracted horizon) and the ends of civil, nautical and astronomical twilight
+export const SUN_ALTITUDES = {
+    sunrise: -0.833,
+    civil: -6,
+    nautical: -12,
+    astronomical: -18
+};
+
+// The "day" functions below work on the calendar day containing `date` in
+// timeZone (an IANA name or 'UTC', see astro/timeZone.js), midnight to
+// midnight.
+
+// Sunrise, sunset, solar noon and twilight limits for the observer's day
+// (SunCalc.getTimes). Events that don't happen that day are null.
+const SUN_EVENTS = {
+    sunrise: 'sunrise',
+    sunset: 'sunset',
+    solarNoon: 'solarNoon',
+    civilDawn: 'dawn',
+    civilDusk: 'dusk',
+    nauticalDawn: 'nauticalDawn',
+    nauticalDusk: 'nauticalDusk',
+    astronomicalDawn: 'nightEnd',
+    astronomicalDusk: 'night'
+};
+
+export function getSunTimes(observer, date, timeZone) {
+    const dayStart = startOfZonedDay(date, timeZone);
+    const dayEnd = startOfZonedDay(date, timeZone, 1);
+    // SunCalc works from the solar noon nearest the date it is given, so an
+    // event can fall on the next calendar day (a sunset just after midnight
+    // in an Icelandic summer). Ask around the neighbouring noons as well and
+    // keep what lands inside the day.
+    const { year, month, day } = getZonedParts(date, timeZone);
+    const found = [-1, 0, 1].map((offset) => SunCalc.getTimes(
+        zonedTimeToDate({ year, month, day: day + offset, hour: 12 }, timeZone), observer.lat, observer.lon));
+    const inDay = (d) => d && !isNaN(d) && d >= dayStart && d < dayEnd;
+
+    const result = {};
+    for (const [name, key] of Object.entries(SUN_EVENTS)) {
+        result[name] = found.map((times) => times[key]).find(inDay) || null;
+    }
+    return result;
+}
+
+// Sun and Moon altitudes through the observer's day every stepMinutes, for
+// drawing a day/night timeline
+export function getSkyTimeline(observer, date, timeZone, stepMinutes = 10) {
+    const dayStart = startOfZonedDay(date, timeZone);
+    const dayEnd = startOfZonedDay(date, timeZone, 1); // 23 or 25 h on DST changes
+
+    const stepMs = stepMinutes * 60 * 1000;
+    const sun = [];
+    const moon = [];
+    for (let t = dayStart.getTime(); t <= dayEnd.getTime(); t += stepMs) {
+        const d = new Date(t);
+        sun.push(getSunHorizontal(observer, d).altitude);
+        moon.push(getMoonHorizontal(observer, d).altitude);
+    }
+    return { dayStart, dayEnd, stepMs, sun, moon, timeZone };
+}
+
+// The night around `date`: from the most recent noon in timeZone to the
+// next, so the whole night (and the current time) falls inside. Sun and Moon
+// altitude/azimuth every stepMinutes from SunCalc (altitudes include
+// refraction; azimuth converted to north-based degrees).
+export function getNightTimeline(observer, date, timeZone, stepMinutes = 10) {
+    const { year, month, day, hour } = getZonedParts(date, timeZone);
+    const startDay = hour < 12 ? day - 1 : day;
+    const start = zonedTimeToDate({ year, month, day: startDay, hour: 12 }, timeZone);
+    const end = zonedTimeToDate({ year, month, day: startDay + 1, hour: 12 }, timeZone);
+
+    const stepMs = stepMinutes * 60 * 1000;
+    const samples = [];
+    for (let t = start.getTime(); t <= end.getTime(); t += stepMs) {
+        const time = new Date(t);
+        const sun = SunCalc.getPosition(time, observer.lat, observer.lon);
+        const moon = SunCalc.getMoonPosition(time, observer.lat, observer.lon);
+        samples.push({
+            time,
+            sunAltitude: sun.altitude * RAD,
+            moonAltitude: moon.altitude * RAD,
+            moonAzimuth: normalizeDegrees(moon.azimuth * RAD + 180)
+        });
+    }
+    return { start, end, samples, timeZone };
+}
+
+// Moonrise, moonset and upper transit during the observer's day.
+// rise/set/transit are null when the event doesn't happen that day;
+// alwaysUp/alwaysDown flag days when the Moon never crosses the horizon.
+export function getMoonTimes(observer, date, timeZone) {
+    const dayStart = startOfZonedDay(date, timeZone);
+    const dayEnd = startOfZonedDay(date, timeZone, 1);
+
+    // SunCalc only searches browser-local or UTC days, so search the UTC days
+    // overlapping this one and keep what falls inside it
+    let rise = null;
+    let set = null;
+    for (let t = startOfZonedDay(dayStart, 'UTC'); t < dayEnd; t = new Date(t.getTime() + MS_PER_DAY)) {
+        const times = SunCalc.getMoonTimes(t, observer.lat, observer.lon, true);
+        const inDay = (d) => d && d >= dayStart && d < dayEnd;
+        if (!rise && inDay(times.rise)) rise = times.rise;
+        if (!set && inDay(times.set)) set = times.set;
+    }
+    const transit = findMoonTransit(observer, dayStart, dayEnd);
+    // With no crossing all day, the altitude at any instant tells whether the
+    // Moon stays up or down (SunCalc's own alwaysUp/alwaysDown come from the
+    // last parabola it fitted, and can be wrong at high latitudes)
+    const circumpolar = !rise && !set;
+    const up = circumpolar && getMoonHorizontal(observer, dayStart).altitude > 0;
+
+    return {
+        rise,
+        set,
+        transit,
+        maxAltitude: transit && getMoonHorizontal(observer, transit).altitude,
+        alwaysUp: up,
+        alwaysDown: circumpolar && !up
+    };
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Upper transit (hour angle 0) between dayStart and dayEnd, or null. The
+// Moon's hour angle grows ~14.5 deg/h, so hourly steps bracket the crossing;
+// about once a month the transit skips a day.
+function findMoonTransit(observer, dayStart, dayEnd) {
+    const hourAngle = (t) => getMoonHorizontal(observer, new Date(t)).hourAngle;
+    const end = dayEnd.getTime();
+    let t0 = dayStart.getTime();
+    let h0 = hourAngle(t0);
+    while (t0 < end) {
+        const t1 = Math.min(t0 + HOUR_MS, end);
+        const h1 = hourAngle(t1);
+        if (h0 <= 0 && h1 > 0 && h1 - h0 < 90) {
+            // Bisect down to a second
+            let lo = t0;
+            let hi = t1;
+            while (hi - lo > 1000) {
+                const mid = (lo + hi) / 2;
+                if (hourAngle(mid) <= 0) lo = mid;
+                else hi = mid;
+            }
+            return new Date(Math.round((lo + hi) / 2));
+        }
+        t0 = t1;
+        h0 = h1;
+    }
+    return null;
+}
@@ -0,0 +1,114 @@
+// --- Lunar phase from geometry ---
+// The phase is derived from where the Sun and Moon actually are, rather than
+// the other way round: elongation in longitude gives the phase cycle, and the
+// Sun-Moon-Earth angle gives the illuminated fraction.
+
+import { normalizeDegrees, wrapDegrees, DEG, RAD, sinDeg, cosDeg } from './math.js';
+import { MS_PER_DAY } from './time.js';
+import { getMoonPosition } from './moon.js';
+import { getSunPosition, AU_KM } from './sun.js';
+
+// phase:     0 = new, 0.25 = first quarter, 0.5 = full, 0.75 = last quarter
+//            (same convention as SunCalc's illumination.phase)
+// fraction:  illuminated fraction of the disc, 0..1
+// elongation: angular Sun-Moon separation seen from Earth (degrees)
+export function getMoonPhase(date, moon = getMoonPosition(date), sun = getSunPosition(date)) {
+    const lonDiff = normalizeDegrees(moon.lon - sun.lon);
+
+    const cosElongation = cosDeg(moon.lat) * cosDeg(lonDiff);
+    const elongation = Math.acos(cosElongation) * RAD;
+
+    // Phase angle (Sun-Moon-Earth), Meeus 48.2
+    const sunDist = sun.dist * AU_KM;
+    const phaseAngle = Math.atan2(
+        sunDist * sinDeg(elongation),
+        moon.dist - sunDist * cosElongation
+    ) * RAD;
+
+    return {
+        phase: lonDiff / 360,
+        fraction: (1 + cosDeg(phaseAngle)) / 2,
+        elongation,
+        phaseAngle
+    };
+}
+
+// Earthshine on the Moon relative to its value at new moon (0..1), from the
+// Moon's phase angle in degrees. Seen from the Moon, Earth shows the opposite
+// phase (phase angle 180 - phaseAngle); its brightness is taken as that of a
+// Lambert sphere, (sin a + (pi - a) cos a) / pi.
+export function getEarthshineFactor(phaseAngle) {
+    const a = (180 - phaseAngle) * DEG;
+    return Math.max(0, (Math.sin(a) + (Math.PI - a) * Math.cos(a)) / Math.PI);
+}
+
+// Position angle of the Moon's bright limb, in degrees from celestial north
+// through east (Meeus 48.5). Takes the apparent { ra, dec } of Moon and Sun.
+// It is the direction of the Sun as seen from the Moon, projected on the sky.
+export function getBrightLimbAngle(moonEq, sunEq) {
+    const dRa = sunEq.ra - moonEq.ra;
+    return normalizeDegrees(Math.atan2(
+        cosDeg(sunEq.dec) * sinDeg(dRa),
+        sinDeg(sunEq.dec) * cosDeg(moonEq.dec) - cosDeg(sunEq.dec) * sinDeg(moonEq.dec) * cosDeg(dRa)
+    ) * RAD);
+}
+
+// Phase values of the four principal phases
+export const PRINCIPAL_PHASES = {
+    newMoon: 0,
+    firstQuarter: 0.25,
+    fullMoon: 0.5,
+    lastQuarter: 0.75
+};
+
+const SYNODIC_MONTH_MS = 29.530588861 * MS_PER_DAY;
+
+// Longitude elongation minus the target, wrapped to (-180, 180]
+function phaseError(date, targetPhase) {
+    const lonDiff = getMoonPosition(date).lon - getSunPosition(date).lon;
+    return wrapDegrees(lonDiff - targetPhase * 360);
+}
+
+// Exact instant the Moon-Sun elongation in longitude reaches targetPhase * 360,
+// starting from a guess. Secant iteration on the elongation; the Moon's
+// speed varies by +-15% so it converges to under a second in a few steps.
+function refinePhase(guess, targetPhase) {
+    let t0 = guess.getTime();
+    let f0 = phaseError(guess, targetPhase);
+    let t1 = t0 + 60 * 60 * 1000;
+    let f1 = phaseError(new Date(t1), targetPhase);
+
+    for (let i = 0; i < 20 && Math.abs(t1 - t0) > 500; i++) {
+        const t2 = t1 - f1 * (t1 - t0) / (f1 - f0);
+        t0 = t1;
+        f0 = f1;
+        t1 = t2;
+        f1 = phaseError(new Date(t1), targetPhase);
+    }
+    return new Date(Math.round(t1));
+}
+
+// Next/previous exact instant of a phase (e.g. PRINCIPAL_PHASES.fullMoon)
+export function findNextPhase(date, targetPhase) {
+    return findPhase(date, targetPhase, 1);
+}
+
+export function findPreviousPhase(date, targetPhase) {
+    return findPhase(date, targetPhase, -1);
+}
+
+function findPhase(date, targetPhase, direction) {
+    const { phase } = getMoonPhase(date);
+    // Fraction of a mean lunation until (or since) the target phase
+    let cycles = normalizeDegrees((targetPhase - phase) * 360 * direction) / 360;
+    // Already at (or a hair past) the phase: go for the one a month away
+    if (cycles < 1e-4) cycles += 1;
+
+    let found = refinePhase(new Date(date.getTime() + direction * cycles * SYNODIC_MONTH_MS), targetPhase);
+    // The mean-motion guess can land on the wrong side of `date` when the
+    // target is only hours away; step one lunation on if so
+    if ((found - date) * direction <= 0) {
+        found = refinePhase(new Date(found.getTime() + direction * SYNODIC_MONTH_MS), targetPhase);
+    }
+    return found;
+}
@@ -0,0 +1,89 @@
+// --- Shadow geometry ---
+// Earth's and the Moon's shadow cones at true scale, in geocentric ecliptic
+// cartesian coordinates (km): x towards the equinox, y towards longitude
+// 90 deg, z towards the north ecliptic pole. The scene's distances are far
+// from true scale, so eclipses are worked out here and only drawn there.
+
+import { sinDeg, cosDeg } from './math.js';
+import { AU_KM } from './sun.js';
+
+export const EARTH_RADIUS_KM = 6378.14;
+export const MOON_RADIUS_KM = 1737.4;
+export const SUN_RADIUS_KM = 696000;
+// Earth's atmosphere makes its shadow ~2% larger than the geometric cone
+const ATMOSPHERE_ENLARGEMENT = 1.02;
+
+export function eclipticToVector(lon, lat, dist) {
+    return [
+        dist * cosDeg(lat) * cosDeg(lon),
+        dist * cosDeg(lat) * sinDeg(lon),
+        dist * sinDeg(lat)
+    ];
+}
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const length = (a) => Math.sqrt(dot(a, a));
+const scale = (a, s) => [a[0] * s, a[1] * s, a[2] * s];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+
+// Both shadow functions describe a cone cast by a "caster" body away from
+// the Sun and where it passes the other ("target") body:
+//   axis            unit vector of the shadow axis (away from the Sun)
+//   casterRadius    radius of the shadow at the caster (km)
+//   umbraSlope / penumbraSlope   change of cone radius per km along the axis;
+//                   the umbra radius at distance z is casterRadius - z * umbraSlope
+//                   and turns negative (an antumbra) past the umbra's tip
+//   umbraLength     distance from the caster to the umbra's tip (km)
+//   targetDistance  distance along the axis to the point nearest the target (km)
+//   targetOffset    target centre minus that point (km)
+//   umbraRadius / penumbraRadius   cone radii at targetDistance (km)
+
+// Earth's shadow where the Moon crosses it (lunar eclipses)
+export function getEarthShadow(moon, sun) {
+    const sunVec = eclipticToVector(sun.lon, 0, sun.dist * AU_KM);
+    const moonVec = eclipticToVector(moon.lon, moon.lat, moon.dist);
+    const sunDist = length(sunVec);
+    const axis = scale(sunVec, -1 / sunDist);
+
+    const targetDistance = dot(moonVec, axis);
+    return describeShadow({
+        axis,
+        casterRadius: EARTH_RADIUS_KM * ATMOSPHERE_ENLARGEMENT,
+        umbraSlope: (SUN_RADIUS_KM - EARTH_RADIUS_KM) / sunDist * ATMOSPHERE_ENLARGEMENT,
+        penumbraSlope: (SUN_RADIUS_KM + EARTH_RADIUS_KM) / sunDist * ATMOSPHERE_ENLARGEMENT,
+        targetDistance,
+        targetOffset: sub(moonVec, scale(axis, targetDistance))
+    });
+}
+
+// The Moon's shadow where it reaches Earth (solar eclipses). Also returns
+// origin, the Moon's geocentric position (km). |targetOffset| over
+// EARTH_RADIUS_KM is the eclipse's gamma.
+export function getMoonShadow(moon, sun) {
+    const sunVec = eclipticToVector(sun.lon, 0, sun.dist * AU_KM);
+    const moonVec = eclipticToVector(moon.lon, moon.lat, moon.dist);
+    const sunToMoon = sub(moonVec, sunVec);
+    const sunMoonDist = length(sunToMoon);
+    const axis = scale(sunToMoon, 1 / sunMoonDist);
+
+    const targetDistance = -dot(moonVec, axis);
+    return describeShadow({
+        origin: moonVec,
+        axis,
+        casterRadius: MOON_RADIUS_KM,
+        umbraSlope: (SUN_RADIUS_KM - MOON_RADIUS_KM) / sunMoonDist,
+        penumbraSlope: (SUN_RADIUS_KM + MOON_RADIUS_KM) / sunMoonDist,
+        targetDistance,
+        targetOffset: sub(scale(moonVec, -1), scale(axis, targetDistance))
+    });
+}
+
+function describeShadow(shadow) {
+    const { casterRadius, umbraSlope, penumbraSlope, targetDistance } = shadow;
+    return {
+        ...shadow,
+        umbraLength: casterRadius / umbraSlope,
+        umbraRadius: casterRadius - targetDistance * umbraSlope,
+        penumbraRadius: casterRadius + targetDistance * penumbraSlope
+    };
+}
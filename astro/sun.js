@@ -0,0 +1,49 @@
+// --- Solar position ---
+// Low-precision solar coordinates (Meeus ch. 25): mean longitude plus the
+// equation of the centre, then nutation and aberration for the apparent
+// position. Good to ~0.01 deg, i.e. well under a minute of lunar motion when
+// we derive the phase from it.
+
+import { normalizeDegrees, polynomial, sinDeg, cosDeg } from './math.js';
+import { toJulianEphemerisDay, julianCenturies } from './time.js';
+import { getNutation } from './coords.js';
+
+export const AU_KM = 149597870.7;
+
+// Semi-major axis of Earth's orbit (AU)
+export const EARTH_ORBIT_A = 1.000001018;
+
+// Annual aberration constant (degrees at 1 AU)
+const ABERRATION = 20.4898 / 3600;
+
+// Geocentric ecliptic position of the Sun, referred to the true equinox of date.
+// lon is the apparent longitude (what the Moon's elongation and the seasons are
+// measured against), trueLon the geometric one. Degrees and AU.
+// The mean orbital elements come along for drawing the orbit: meanAnomaly,
+// eccentricity and perigeeLon (the Sun's perigee is Earth's perihelion + 180).
+export function getSunPosition(date) {
+    const T = julianCenturies(toJulianEphemerisDay(date));
+
+    const L0 = polynomial(T, [280.46646, 36000.76983, 0.0003032]);
+    const M = normalizeDegrees(polynomial(T, [357.52911, 35999.05029, -0.0001537]));
+    const e = polynomial(T, [0.016708634, -0.000042037, -0.0000001267]);
+
+    // Equation of the centre
+    const C = (1.914602 - 0.004817 * T - 0.000014 * T * T) * sinDeg(M)
+        + (0.019993 - 0.000101 * T) * sinDeg(2 * M)
+        + 0.000289 * sinDeg(3 * M);
+
+    const trueAnomaly = M + C;
+    const dist = EARTH_ORBIT_A * (1 - e * e) / (1 + e * cosDeg(trueAnomaly));
+
+    const trueLon = normalizeDegrees(L0 + C);
+
+    return {
+        lon: normalizeDegrees(trueLon + getNutation(date).dPsi - ABERRATION / dist),
+        trueLon,
+        dist,
+        meanAnomaly: M,
+        eccentricity: e,
+        perigeeLon: normalizeDegrees(L0 - M)
+    };
+}
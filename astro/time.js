@@ -0,0 +1,73 @@
+// --- Time scales ---
+// JS Dates are UTC milliseconds. The lunar/solar theories want Julian
+// centuries of Terrestrial Time (TT/TD) since J2000.0, so we convert via the
+// Julian Day and a Delta T (TT - UT) estimate.
+
+import { normalizeDegrees, polynomial } from './math.js';
+
+export const MS_PER_DAY = 24 * 60 * 60 * 1000;
+export const J2000 = 2451545.0;
+const UNIX_EPOCH_JD = 2440587.5;
+
+export function toJulianDay(date) {
+    return date.getTime() / MS_PER_DAY + UNIX_EPOCH_JD;
+}
+
+export function fromJulianDay(jd) {
+    return new Date((jd - UNIX_EPOCH_JD) * MS_PER_DAY);
+}
+
+// Delta T in seconds (Espenak & Meeus polynomial fits, 1900-2150).
+// Outside that window we fall back to the long-term parabola.
+export function deltaT(year) {
+    if (year >= 1900 && year < 1920) {
+        const t = year - 1900;
+        return polynomial(t, [-2.79, 1.494119, -0.0598939, 0.0061966, -0.000197]);
+    }
+    if (year >= 1920 && year < 1941) {
+        const t = year - 1920;
+        return polynomial(t, [21.20, 0.84493, -0.076100, 0.0020936]);
+    }
+    if (year >= 1941 && year < 1961) {
+        const t = year - 1950;
+        return 29.07 + 0.407 * t - t * t / 233 + t * t * t / 2547;
+    }
+    if (year >= 1961 && year < 1986) {
+        const t = year - 1975;
+        return 45.45 + 1.067 * t - t * t / 260 - t * t * t / 718;
+    }
+    if (year >= 1986 && year < 2005) {
+        const t = year - 2000;
+        return polynomial(t, [63.86, 0.3345, -0.060374, 0.0017275, 0.000651814, 0.00002373599]);
+    }
+    if (year >= 2005 && year < 2050) {
+        const t = year - 2000;
+        return 62.92 + 0.32217 * t + 0.005589 * t * t;
+    }
+    if (year >= 2050 && year < 2150) {
+        return -20 + 32 * ((year - 1820) / 100) ** 2 - 0.5628 * (2150 - year);
+    }
+    const u = (year - 1820) / 100;
+    return -20 + 32 * u * u;
+}
+
+// Julian Ephemeris Day (TT) for a JS Date
+export function toJulianEphemerisDay(date) {
+    const jd = toJulianDay(date);
+    const year = 2000 + (jd - J2000) / 365.25;
+    return jd + deltaT(year) / 86400;
+}
+
+export function julianCenturies(jde) {
+    return (jde - J2000) / 36525;
+}
+
+// Greenwich mean sidereal time in degrees (Meeus 12.4). Uses UT, i.e. the
+// Date as is: it's Earth's rotation angle, not a dynamical time.
+export function getGreenwichSiderealTime(date) {
+    const jd = toJulianDay(date);
+    const T = (jd - J2000) / 36525;
+    const theta = 280.46061837 + 360.98564736629 * (jd - J2000)
+        + 0.000387933 * T * T - T * T * T / 38710000;
+    return normalizeDegrees(theta);
+}
@@ -0,0 +1,112 @@
+// --- Time zones ---
+// Calendar dates and clock times in an explicit IANA zone (or 'UTC'),
+// instead of whatever zone the browser runs in. Dates stay plain instants;
+// only reading and building wall-clock times goes through a zone.
+
+import { MS_PER_DAY } from './time.js';
+
+export const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    let formatter = formatters.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        });
+        formatters.set(timeZone, formatter);
+    }
+    return formatter;
+}
+
+export function isValidTimeZone(timeZone) {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Wall-clock { year, month (1-12), day, hour, minute, second } of an instant
+export function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    }
+    return {
+        year: parts.year, month: parts.month, day: parts.day,
+        hour: parts.hour, minute: parts.minute, second: parts.second
+    };
+}
+
+// Offset of the zone from UTC at an instant, in minutes (east positive)
+export function getTimeZoneOffset(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// The instant a wall-clock time occurs in the zone. Out-of-range fields roll
+// over like Date.UTC (day 0 = last day of the previous month). A time
+// skipped by a DST change moves forward by the gap (00:30 in a 00:00-01:00
+// gap is 01:30), so midnight in zones that switch at midnight stays on its
+// own day.
+export function zonedTimeToDate({ year, month = 1, day = 1, hour = 0, minute = 0, second = 0 }, timeZone) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    const offsetAt = (t) => getTimeZoneOffset(new Date(t), timeZone) * 60000;
+    // The offset at the guess can differ from the one at the answer across a
+    // DST change, so correct once more
+    const guess = asUtc - offsetAt(asUtc);
+    const t = asUtc - offsetAt(guess);
+    if (asUtc - offsetAt(t) === t) return new Date(t);
+    // Neither offset fits: the time was skipped. The earlier offset puts it
+    // after the change, where it reads as the same time plus the gap.
+    return new Date(Math.max(guess, t));
+}
+
+// Midnight starting the zone's calendar day `offsetDays` after the one
+// containing `date` (23 or 25 h apart across DST changes)
+export function startOfZonedDay(date, timeZone, offsetDays = 0) {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return zonedTimeToDate({ year, month, day: day + offsetDays }, timeZone);
+}
+
+// Days since the zone's midnight before 1 January, i.e. 1.0 at the start of
+// 1 January (matching a day-of-year count from 1)
+export function getZonedDayOfYear(date, timeZone) {
+    const { year } = getZonedParts(date, timeZone);
+    return (date - zonedTimeToDate({ year, month: 1, day: 0 }, timeZone)) / MS_PER_DAY;
+}
+
+export function fromZonedDayOfYear(year, dayOfYear, timeZone) {
+    return new Date(zonedTimeToDate({ year, month: 1, day: 0 }, timeZone).getTime() + dayOfYear * MS_PER_DAY);
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// 'YYYY-MM-DD' of the zone's calendar date, for <input type="date">
+export function toDateInputValue(date, timeZone) {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Midnight in the zone of an 'YYYY-MM-DD' string, or null if it doesn't parse
+export function fromDateInputValue(value, timeZone) {
+    const match = /^(\d{4,})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return null;
+    return zonedTimeToDate({ year: +match[1], month: +match[2], day: +match[3] }, timeZone);
+}
+
+// Human-readable offset like 'UTC+9' or 'UTC-3:30'
+export function formatTimeZoneOffset(date, timeZone) {
+    const offset = getTimeZoneOffset(date, timeZone);
+    const sign = offset < 0 ? '-' : '+';
+    const h = Math.floor(Math.abs(offset) / 60);
+    const m = Math.abs(offset) % 60;
+    return `UTC${sign}${h}${m ? `:${pad(m)}` : ''}`;
+}
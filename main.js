@@ -1,7 +1,33 @@
 import * as THREE from 'three';
 import { CSS2DRenderer, CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
-import SunCalc from 'suncalc';
 import solarlunar from 'solarlunar';
+import { getMoonPosition, MOON_ORBIT_A, MOON_ORBIT_INCLINATION } from './astro/moon.js';
+import { getSunPosition, EARTH_ORBIT_A, AU_KM } from './astro/sun.js';
+import { exaggerateOrbit, ellipseRadius } from './astro/kepler.js';
+import { getMoonPhase, getEarthshineFactor, getBrightLimbAngle, findNextPhase, findPreviousPhase, PRINCIPAL_PHASES } from './astro/phase.js';
+import { getMeanObliquity, getTrueObliquity, getApparentSiderealTime, eclipticToEquatorial } from './astro/coords.js';
+import { findEclipses, findNextEclipse } from './astro/eclipses.js';
+import { getLibration } from './astro/libration.js';
+import { getEarthShadow, getMoonShadow, eclipticToVector, EARTH_RADIUS_KM, MOON_RADIUS_KM, SUN_RADIUS_KM } from './astro/shadows.js';
+import { applyLunarEclipseShading, applySolarEclipseShading } from './view/eclipseShading.js';
+import { applyDayNightShading, loadNightLights } from './view/earthShading.js';
+import { applyEarthshine, setEarthshine } from './view/earthshine.js';
+import { applyLunarReflectance } from './view/lunarShading.js';
+import { applyLunarRelief, loadLunarRelief, MOON_ELEVATION_URL } from './view/lunarRelief.js';
+import { MOON_LAYERS, DEFAULT_MOON_LAYER_ID, findMoonLayer, createMoonLayerSwitcher } from './view/moonLayers.js';
+import { createShadowCone } from './view/shadowCones.js';
+import { drawDayTimeline } from './view/dayTimeline.js';
+import { createHorizonView } from './view/horizonView.js';
+import {
+    BROWSER_TIME_ZONE, isValidTimeZone, getZonedParts, getZonedDayOfYear, fromZonedDayOfYear,
+    toDateInputValue, fromDateInputValue, formatTimeZoneOffset
+} from './astro/timeZone.js';
+import { drawMoonAltitudeChart, drawSkyPath } from './view/moonChart.js';
+import { getEclipsePath, getShadowCenter } from './astro/eclipsePath.js';
+import { DEG, RAD } from './astro/math.js';
+import { MS_PER_DAY } from './astro/time.js';
+import { CITIES, findCity } from './astro/cities.js';
+import { DEFAULT_OBSERVER, observerFromCity, createObserver, formatLatLon, getMoonHorizontal, getMoonTimes, getSunTimes, getSkyTimeline, getNightTimeline, eclipticToLocal, eclipticToTopocentric } from './astro/observer.js';
 
 // --- Constants ---
 const SCENE_SCALE = 1;
@@ -10,19 +36,39 @@ const MOON_RADIUS = 0.7 * SCENE_SCALE;
 const SUN_RADIUS = 12 * SCENE_SCALE; // Made Sun significantly larger to be visible at distance
 const EARTH_SUN_DIST = 60 * SCENE_SCALE; // Increased distance slightly to accommodate larger sun
 const EARTH_MOON_DIST = 10 * SCENE_SCALE;
+// Scene distances above are the orbits' semi-major axes; the real distance
+// ratios (r / a) are applied on top of them.
+const ORBIT_SEGMENTS = 256;
 
 // --- Globals ---
 let scene, camera, renderer, labelRenderer;
 let phaseScene, phaseCamera, phaseRenderer, phaseMoonMesh, phaseLight;
-let sunMesh, earthMesh, moonMesh, moonOrbitPivot, earthOrbitPivot;
+let sunMesh, earthMesh, moonMesh, earthGroup, earthTiltGroup;
 let bgMesh, stars;
 let sunLine, earthMoonLine; // New Guide Lines
+let earthOrbitLine, moonOrbitLine, moonOrbitPlane, nodeLine;
+let perihelionMarker, aphelionMarker, perigeeMarker, apogeeMarker;
+let moonEclipseUniforms, phaseMoonEclipseUniforms, earthEclipseUniforms;
+let phaseEarthshineUniforms;
+let earthDayNightUniforms; // Terminator and city lights (see view/earthShading.js)
+let earthShadowCone, moonShadowCone;
+let eclipsePathGroup, shadowCenterMarker;
+let observerMarker;
+let horizonView; // Planetarium view from the observer's location
+let moonLayers; // Map switcher for moonMesh and phaseMoonMesh (see setMoonLayer)
+let moonLayerId = DEFAULT_MOON_LAYER_ID;
+let selectedEclipsePath = null;
 let currentDate = new Date();
 let clock = new THREE.Clock();
 
 // Simulation State
 let timeScale = 1;
 let isPaused = false;
+let eccentricityScale = 1; // 1 = real orbits, >1 exaggerates eccentricity for teaching
+let observer = DEFAULT_OBSERVER; // Where on Earth the phase view and sky readouts are for
+let phaseOrientation = 'zenith'; // Which way is up in the phase view (see getPhaseViewRoll)
+let timeZoneSetting = 'local'; // 'local' (browser), 'UTC', 'observer' or an IANA zone name (see getTimeZone)
+let viewMode = 'space'; // 'space' = outside view of the orbits, 'horizon' = from the observer's location
 
 // DOM Elements
 const canvasContainer = document.getElementById('canvas-container');
@@ -32,6 +78,34 @@ const pauseBtn = document.getElementById('pause-btn');
 const speedSlider = document.getElementById('speed-slider');
 const dateInput = document.getElementById('date-input');
 const setDateBtn = document.getElementById('set-date-btn');
+const eccentricitySelect = document.getElementById('eccentricity-select');
+const shadowConeToggle = document.getElementById('shadow-cone-toggle');
+const nextSolarEclipseEl = document.getElementById('next-solar-eclipse');
+const nextLunarEclipseEl = document.getElementById('next-lunar-eclipse');
+const eclipseListSelect = document.getElementById('eclipse-list');
+const eclipsePathRow = document.getElementById('eclipse-path-row');
+const eclipsePathInfoEl = document.getElementById('eclipse-path-info');
+const observerLabelEl = document.getElementById('observer-label');
+const observerCitySelect = document.getElementById('observer-city');
+const observerLatInput = document.getElementById('observer-lat');
+const observerLonInput = document.getElementById('observer-lon');
+const moonHorizontalInfoEl = document.getElementById('moon-horizontal-info');
+const phaseOrientationLabelEl = document.getElementById('phase-orientation-label');
+const moonriseInfoEl = document.getElementById('moonrise-info');
+const moonTransitInfoEl = document.getElementById('moon-transit-info');
+const moonsetInfoEl = document.getElementById('moonset-info');
+const dayTimelineCanvas = document.getElementById('day-timeline');
+const sunTimesInfoEl = document.getElementById('sun-times-info');
+const twilightInfoEl = document.getElementById('twilight-info');
+const viewModeSelect = document.getElementById('view-mode-select');
+const timeZoneSelect = document.getElementById('time-zone-select');
+const clockInfoEl = document.getElementById('clock-info');
+const moonAltitudeChart = document.getElementById('moon-altitude-chart');
+const moonSkyPathCanvas = document.getElementById('moon-sky-path');
+const phaseJumpSelect = document.getElementById('phase-jump-select');
+const phaseJumpInfoEl = document.getElementById('phase-jump-info');
+const moonLayerSelect = document.getElementById('moon-layer-select');
+const moonLayerInfoEl = document.getElementById('moon-layer-info');
 
 function init() {
     // 1. Setup Main Scene
@@ -64,6 +138,10 @@ function init() {
     // 2. Setup Phase View (Isolated Scene)
     initPhaseScene();
 
+    // Local Horizon View (Isolated Scene, shares the main renderer), with the
+    // albedo map whatever layer is chosen: it is the Moon as seen in the sky
+    horizonView = createHorizonView(canvasContainer, new THREE.TextureLoader().load(findMoonLayer('albedo').url));
+
     // 3. Lighting (Main Scene)
     const ambientLight = new THREE.AmbientLight(0x333333);
     scene.add(ambientLight);
@@ -77,19 +155,18 @@ function init() {
 
     // 4. Objects
     createObjects();
+    moonLayers = createMoonLayerSwitcher([moonMesh.material, phaseMoonMesh.material], textureLoader);
+    moonLayers.show(moonLayerId);
 
     // 5. Events
     window.addEventListener('resize', onWindowResize);
     window.addEventListener('keydown', (e) => {
-        // Ignore if typing in an input
-        if (e.target.tagName === 'INPUT') return;
+        // Leave keys to focused form controls: typing, choosing from a
+        // select, or pressing a button (which the browser clicks itself)
+        if (['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON'].includes(e.target.tagName)) return;
 
         if (e.code === 'Space') {
             e.preventDefault(); // Stop page scroll
-            // If focus is on button, browser handles click. 
-            // We ignore keydown here if target matches our button to avoid double-toggle
-            if (e.target === pauseBtn) return;
-
             togglePause();
         }
     });
@@ -97,7 +174,7 @@ function init() {
     setupUI();
 
     // Initial State
-    dateInput.valueAsDate = currentDate;
+    dateInput.value = toDateInputValue(currentDate, getTimeZone());
     updateSimulationFromDate(currentDate);
 
     // Start Loop
@@ -122,11 +199,19 @@ function initPhaseScene() {
     // Moon Mesh for Phase View
     const textureLoader = new THREE.TextureLoader();
     const moonGeo = new THREE.SphereGeometry(1, 64, 64);
-    const moonMat = new THREE.MeshStandardMaterial({
-        map: textureLoader.load('./moon.jpg'),
+    // Near side (texture centre, local +X) towards the camera and lunar east
+    // (+90 deg longitude) to +X, west on the sky; libration turns it from there
+    moonGeo.rotateY(-Math.PI / 2);
+    const moonMat = new THREE.MeshStandardMaterial({ // Map set by moonLayers
         roughness: 0.9,
         metalness: 0
     });
+    applyLunarReflectance(moonMat);
+    phaseMoonEclipseUniforms = applyLunarEclipseShading(moonMat);
+    // Earth is behind the camera (+Z); see updatePhaseView for the strength
+    phaseEarthshineUniforms = applyEarthshine(moonMat);
+    // Crater shadows along the terminator, once an elevation map is present
+    loadLunarRelief(moonMat, applyLunarRelief(moonMat), MOON_ELEVATION_URL, 1, textureLoader);
     phaseMoonMesh = new THREE.Mesh(moonGeo, moonMat);
     phaseScene.add(phaseMoonMesh);
 
@@ -136,10 +221,6 @@ function initPhaseScene() {
     // Phase 0.5 (Full Moon) = Light front of moon (0 deg)
     phaseLight = new THREE.DirectionalLight(0xffffff, 3);
     phaseScene.add(phaseLight);
-
-    // Ambient for earthshine
-    const phaseAmbient = new THREE.AmbientLight(0x111111);
-    phaseScene.add(phaseAmbient);
 }
 
 const textureLoader = new THREE.TextureLoader();
@@ -169,17 +250,25 @@ function createObjects() {
     earthMoonLine = new THREE.Line(emLineGeo, emLineMat);
     scene.add(earthMoonLine);
 
-    // Pivots
-    earthOrbitPivot = new THREE.Object3D();
-    scene.add(earthOrbitPivot);
-
-    const earthGroup = new THREE.Object3D();
-    earthGroup.position.set(EARTH_SUN_DIST, 0, 0);
-    earthOrbitPivot.add(earthGroup);
-
-    // Earth Tilt Group (Handles 23.5 degree tilt)
-    const earthTiltGroup = new THREE.Object3D();
-    earthTiltGroup.rotation.z = 23.5 * Math.PI / 180; // Apply tilt to the group
+    // Orbits (ellipses, redrawn every update as the apsides and the
+    // eccentricity setting change)
+    earthOrbitLine = createOrbitLine(0xffffff, 0.25);
+    scene.add(earthOrbitLine);
+    perihelionMarker = createApsisMarker('근일점 (Perihelion)', 0xffaa66);
+    aphelionMarker = createApsisMarker('원일점 (Aphelion)', 0x66aaff);
+    scene.add(perihelionMarker, aphelionMarker);
+
+    // Earth Group (translated around the Sun, never rotated, so everything in it
+    // keeps fixed ecliptic axes)
+    earthGroup = new THREE.Object3D();
+    scene.add(earthGroup);
+
+    // Earth Tilt Group (Handles the ~23.4 degree tilt)
+    // The spin axis points at the celestial pole, which lies towards ecliptic
+    // longitude 90 deg (-Z). Tilting about X leans the pole that way and keeps it
+    // there all year, so the June solstice ends up with the pole towards the Sun.
+    earthTiltGroup = new THREE.Object3D();
+    earthTiltGroup.rotation.x = -getMeanObliquity(currentDate) * DEG;
     earthGroup.add(earthTiltGroup);
 
     // Earth (Spins around Y axis of the Tilted Group)
@@ -189,42 +278,139 @@ function createObjects() {
         roughness: 0.5,
         metalness: 0.1
     });
+    // Eclipses are shaded from the true-scale geometry (see updateEclipseShading).
+    // A shadow map would use the scene's shrunken distances and eclipse the Moon
+    // every month, so the bodies don't cast scene shadows.
+    earthEclipseUniforms = applySolarEclipseShading(earthMat);
+    earthDayNightUniforms = applyDayNightShading(earthMat);
+    loadNightLights(earthDayNightUniforms, './earth_night.jpg', textureLoader);
     earthMesh = new THREE.Mesh(earthGeo, earthMat);
-    earthMesh.castShadow = false; // Disable shadow casting to prevent monthly lunar eclipses (fake tilt)
+    earthMesh.castShadow = false;
     earthMesh.receiveShadow = true;
     earthTiltGroup.add(earthMesh); // Add earth to tilt group
     addLabel(earthMesh, '지구 (Earth)', EARTH_RADIUS + 2);
 
-    // Moon Inclination Group (Handles 5.14 degree orbital tilt)
-    const moonInclinationGroup = new THREE.Object3D();
-    moonInclinationGroup.rotation.z = -5.14 * Math.PI / 180; // Tilt relative to Ecliptic
-    // We tilt around Z so that at Phase 0/0.5 (X-axis) the moon is Up/Down.
-    // This effectively prevents visual alignment (Eclipse).
-    earthGroup.add(moonInclinationGroup);
-
-    // Moon Pivot (Rotates Y within the tilted plane)
-    moonOrbitPivot = new THREE.Object3D();
-    moonInclinationGroup.add(moonOrbitPivot);
-
-    // Moon
+    // Solar Eclipse Ground Track (lat/lon overlay, spins with the globe)
+    eclipsePathGroup = new THREE.Group();
+    earthMesh.add(eclipsePathGroup);
+    shadowCenterMarker = new THREE.Mesh(
+        new THREE.SphereGeometry(0.08, 12, 12),
+        new THREE.MeshBasicMaterial({ color: 0xff3300 })
+    );
+    shadowCenterMarker.visible = false;
+    earthMesh.add(shadowCenterMarker);
+
+    // Observer Location (see setObserver)
+    observerMarker = new THREE.Mesh(
+        new THREE.SphereGeometry(0.06, 12, 12),
+        new THREE.MeshBasicMaterial({ color: 0x33ff66 })
+    );
+    earthMesh.add(observerMarker);
+
+    // Moon (positioned around Earth from its ecliptic coordinates each update,
+    // so the orbital inclination comes from the lunar theory itself)
     const moonGeo = new THREE.SphereGeometry(MOON_RADIUS, 64, 64);
-    const moonMat = new THREE.MeshStandardMaterial({
-        map: textureLoader.load('./moon.jpg'),
+    const moonMat = new THREE.MeshStandardMaterial({ // Map set by moonLayers
         roughness: 0.9,
         metalness: 0
     });
+    applyLunarReflectance(moonMat); // Flat full disc and opposition surge
+    moonEclipseUniforms = applyLunarEclipseShading(moonMat);
     moonMesh = new THREE.Mesh(moonGeo, moonMat);
-    moonMesh.castShadow = false; // Disable shadow casting to prevent monthly solar eclipses
+    moonMesh.castShadow = false; // See earthMesh: eclipses are shaded, not shadow-mapped
     moonMesh.receiveShadow = true;
-    moonMesh.position.set(EARTH_MOON_DIST, 0, 0);
-    moonOrbitPivot.add(moonMesh);
+    earthGroup.add(moonMesh);
     addLabel(moonMesh, '달 (Moon)', MOON_RADIUS + 1.5);
+
+    // Moon Orbit Plane (Handles the 5.1 degree inclination)
+    // Tilted about the line of nodes, which regresses once every 18.6 years.
+    // Inside it the orbit is drawn with ecliptic longitudes as usual, which puts
+    // each point at the right argument of latitude from the ascending node.
+    moonOrbitPlane = new THREE.Object3D();
+    earthGroup.add(moonOrbitPlane);
+
+    moonOrbitLine = createOrbitLine(0x8888ff, 0.35);
+    moonOrbitPlane.add(moonOrbitLine);
+    perigeeMarker = createApsisMarker('근지점 (Perigee)', 0xffaa66);
+    apogeeMarker = createApsisMarker('원지점 (Apogee)', 0x66aaff);
+    moonOrbitPlane.add(perigeeMarker, apogeeMarker);
+
+    // Line of Nodes (in the ecliptic). Eclipses can only happen when it points
+    // at the Sun, i.e. twice a year in the "eclipse seasons".
+    const nodeLineGeo = new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(-EARTH_MOON_DIST * 1.3, 0, 0),
+        new THREE.Vector3(EARTH_MOON_DIST * 1.3, 0, 0)
+    ]);
+    const nodeLineMat = new THREE.LineDashedMaterial({ color: 0xff66cc, transparent: true, opacity: 0.6, dashSize: 0.5, gapSize: 0.3 });
+    nodeLine = new THREE.Line(nodeLineGeo, nodeLineMat);
+    nodeLine.computeLineDistances();
+    earthGroup.add(nodeLine);
+
+    const ascendingNode = new THREE.Object3D();
+    ascendingNode.position.set(EARTH_MOON_DIST * 1.3, 0, 0);
+    addLabel(ascendingNode, '승교점 (☊)', 0.8);
+    const descendingNode = new THREE.Object3D();
+    descendingNode.position.set(-EARTH_MOON_DIST * 1.3, 0, 0);
+    addLabel(descendingNode, '강교점 (☋)', 0.8);
+    nodeLine.add(ascendingNode, descendingNode);
+
+    // Shadow Cones (overlay, off by default)
+    earthShadowCone = createShadowCone(MOON_RADIUS);
+    addLabel(earthShadowCone.ghost, '달의 실제 위치', MOON_RADIUS + 0.6);
+    moonShadowCone = createShadowCone(EARTH_RADIUS);
+    addLabel(moonShadowCone.ghost, '지구의 실제 위치', EARTH_RADIUS + 0.6);
+    earthShadowCone.group.visible = moonShadowCone.group.visible = false;
+    scene.add(earthShadowCone.group, moonShadowCone.group);
+}
+
+const nodeAxis = new THREE.Vector3();
+
+// Orient the lunar orbit plane and the node line for the ascending node longitude
+function updateLunarNodes(nodeLon) {
+    nodeLine.rotation.y = nodeLon * DEG; // +X of the line is the ascending node
+    eclipticToScene(nodeLon, 0, 1, nodeAxis);
+    // Rotating about the node line by +i lifts longitude node + 90 deg to the north
+    moonOrbitPlane.quaternion.setFromAxisAngle(nodeAxis, MOON_ORBIT_INCLINATION * DEG);
+}
+
+function createOrbitLine(color, opacity) {
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(ORBIT_SEGMENTS * 3), 3));
+    const mat = new THREE.LineBasicMaterial({ color, transparent: true, opacity });
+    return new THREE.LineLoop(geo, mat);
+}
+
+function createApsisMarker(text, color) {
+    const marker = new THREE.Mesh(
+        new THREE.SphereGeometry(0.25, 12, 12),
+        new THREE.MeshBasicMaterial({ color })
+    );
+    addLabel(marker, text, 1);
+    return marker;
+}
+
+// Redraw an orbit ellipse around its focus (the parent's origin) with the
+// perigee/perihelion towards perigeeLon, and move the apsis markers onto it.
+function updateOrbitLine(line, a, e, perigeeLon, periMarker, apoMarker) {
+    const positions = line.geometry.attributes.position;
+    const point = new THREE.Vector3();
+    for (let i = 0; i < ORBIT_SEGMENTS; i++) {
+        const trueAnomaly = (i / ORBIT_SEGMENTS) * 360;
+        eclipticToScene(perigeeLon + trueAnomaly, 0, a * ellipseRadius(trueAnomaly, e), point);
+        positions.setXYZ(i, point.x, point.y, point.z);
+    }
+    positions.needsUpdate = true;
+
+    eclipticToScene(perigeeLon, 0, a * (1 - e), periMarker.position);
+    eclipticToScene(perigeeLon + 180, 0, a * (1 + e), apoMarker.position);
 }
 
 const raycaster = new THREE.Raycaster();
 const mouse = new THREE.Vector2();
 
 function onMouseClick(event) {
+    if (viewMode !== 'space') return;
+
     // Calculate mouse position in normalized device coordinates
     mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
     mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
@@ -267,6 +453,14 @@ function setupUI() {
         pauseBtn.blur();
     });
     speedSlider.addEventListener('input', (e) => timeScale = parseInt(e.target.value));
+    shadowConeToggle.addEventListener('change', (e) => {
+        earthShadowCone.group.visible = moonShadowCone.group.visible = e.target.checked;
+        updateSimulationFromDate(currentDate);
+    });
+    eccentricitySelect.addEventListener('change', (e) => {
+        eccentricityScale = parseFloat(e.target.value);
+        updateSimulationFromDate(currentDate);
+    });
 
     // Orbit Slider (Time Travel)
     orbitSlider.addEventListener('input', (e) => {
@@ -274,30 +468,174 @@ function setupUI() {
         pauseBtn.textContent = '재생';
 
         const dayVal = parseFloat(e.target.value);
-        const startOfYear = new Date(currentDate.getFullYear(), 0, 0);
+        const timeZone = getTimeZone();
 
         // Update current date based on day of year
-        currentDate = new Date(startOfYear.getTime() + dayVal * 24 * 60 * 60 * 1000);
+        currentDate = fromZonedDayOfYear(getZonedParts(currentDate, timeZone).year, dayVal, timeZone);
 
         // Sync Date Input
-        dateInput.valueAsDate = currentDate;
+        dateInput.value = toDateInputValue(currentDate, timeZone);
 
         updateSimulationFromDate(currentDate);
     });
 
     setDateBtn.addEventListener('click', () => {
-        const dateStr = dateInput.value;
-        if (dateStr) {
-            currentDate = new Date(dateStr);
-            currentDate.setHours(0, 0, 0, 0);
+        // Midnight of the picked day in the selected time zone
+        const picked = fromDateInputValue(dateInput.value, getTimeZone());
+        if (picked) {
+            currentDate = picked;
+            lastUiUpdate = 0;
             updateSimulationFromDate(currentDate);
             isPaused = true;
             pauseBtn.textContent = '재생';
         }
     });
 
+    // Observer location
+    for (const city of CITIES) {
+        observerCitySelect.add(new Option(city.name, city.id));
+    }
+    observerCitySelect.add(new Option('직접 입력', ''));
+    observerCitySelect.addEventListener('change', (e) => {
+        const city = findCity(e.target.value);
+        if (city) setObserver(observerFromCity(city));
+    });
+    document.getElementById('set-observer-btn').addEventListener('click', () => {
+        // Out-of-range input just puts the current position back
+        const typed = createObserver(parseFloat(observerLatInput.value), parseFloat(observerLonInput.value));
+        setObserver(typed || observer);
+    });
+    setObserver(observer);
+    document.getElementById('phase-orientation-select').addEventListener('change', (e) => {
+        phaseOrientation = e.target.value;
+        updatePhaseOrientationLabel();
+        updateSimulationFromDate(currentDate);
+    });
+    for (const layer of MOON_LAYERS) {
+        moonLayerSelect.add(new Option(layer.name, layer.id));
+    }
+    moonLayerSelect.value = moonLayerId;
+    moonLayerSelect.addEventListener('change', (e) => setMoonLayer(e.target.value));
+
+    // Exact principal phase shortcuts
+    document.getElementById('prev-phase-btn').addEventListener('click', () => jumpToPhase(-1));
+    document.getElementById('next-phase-btn').addEventListener('click', () => jumpToPhase(1));
+
+    // Eclipse shortcuts
+    document.getElementById('goto-solar-eclipse').addEventListener('click', () => goToEclipse(nextSolarEclipse));
+    document.getElementById('clear-eclipse-path').addEventListener('click', () => showEclipsePath(null));
+    document.getElementById('goto-lunar-eclipse').addEventListener('click', () => goToEclipse(nextLunarEclipse));
+    document.getElementById('goto-listed-eclipse').addEventListener('click', () => {
+        goToEclipse(listedEclipses[eclipseListSelect.value]);
+    });
+
     // Sun Switch Click
     window.addEventListener('click', onMouseClick);
+
+    // Time zone
+    timeZoneSelect.add(new Option(`브라우저 시간대 (${BROWSER_TIME_ZONE})`, 'local'));
+    timeZoneSelect.add(new Option('UTC (세계시)', 'UTC'));
+    timeZoneSelect.add(new Option('관측지 시간대', 'observer'));
+    const zones = document.createElement('optgroup');
+    zones.label = 'IANA 시간대';
+    const zoneNames = typeof Intl.supportedValuesOf === 'function'
+        ? Intl.supportedValuesOf('timeZone')
+        : [...new Set(CITIES.map((city) => city.timeZone))].sort();
+    for (const zone of zoneNames) zones.appendChild(new Option(zone, zone));
+    timeZoneSelect.add(zones);
+    timeZoneSelect.value = timeZoneSetting;
+    timeZoneSelect.addEventListener('change', (e) => setTimeZoneSetting(e.target.value));
+
+    // View mode; in the horizon view, drag to look around and wheel to zoom
+    viewModeSelect.addEventListener('change', (e) => setViewMode(e.target.value));
+    let dragFrom = null;
+    renderer.domElement.addEventListener('pointerdown', (e) => {
+        dragFrom = { x: e.clientX, y: e.clientY };
+    });
+    window.addEventListener('pointerup', () => dragFrom = null);
+    window.addEventListener('pointermove', (e) => {
+        if (!dragFrom || viewMode !== 'horizon') return;
+        horizonView.dragBy(e.clientX - dragFrom.x, e.clientY - dragFrom.y);
+        dragFrom = { x: e.clientX, y: e.clientY };
+    });
+    renderer.domElement.addEventListener('wheel', (e) => {
+        if (viewMode === 'horizon') horizonView.zoomBy(e.deltaY * 0.05);
+    }, { passive: true });
+}
+
+// Move the observer: marker on the globe, inputs, and every observer-dependent readout
+function setObserver(next) {
+    observer = next;
+    observerCitySelect.value = observer.cityId || '';
+    observerLatInput.value = observer.lat.toFixed(2);
+    observerLonInput.value = observer.lon.toFixed(2);
+    observerLabelEl.textContent = observer.cityId
+        ? `${observer.name}, ${formatLatLon(observer.lat, observer.lon)}` : observer.name;
+    updatePhaseOrientationLabel();
+    latLonToEarthLocal(observer.lat, observer.lon, EARTH_RADIUS * 1.004, observerMarker.position);
+    refreshAfterTimeZoneChange(); // With the 'observer' setting the zone moves too
+}
+
+// The IANA zone (or 'UTC') that dates are shown and entered in
+function getTimeZone() {
+    if (timeZoneSetting === 'local') return BROWSER_TIME_ZONE;
+    if (timeZoneSetting !== 'observer') return timeZoneSetting;
+    if (observer.timeZone) return observer.timeZone;
+    // Hand-entered position: nautical time zone from the longitude
+    // (the Etc/GMT names count the other way: Etc/GMT-9 is UTC+9)
+    const hours = Math.round(observer.lon / 15);
+    return hours === 0 ? 'UTC' : `Etc/GMT${hours > 0 ? '-' : '+'}${Math.abs(hours)}`;
+}
+
+function formatDateTime(date, options = {}) {
+    return date.toLocaleString('ko-KR', {
+        year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+        ...options,
+        timeZone: getTimeZone()
+    });
+}
+
+function formatClockTime(date) {
+    return date.toLocaleTimeString('ko-KR', { hour: '2-digit', minute: '2-digit', timeZone: getTimeZone() });
+}
+
+function setTimeZoneSetting(setting) {
+    // A listed zone the browser can't format keeps the current setting
+    if (setting !== 'local' && setting !== 'observer' && !isValidTimeZone(setting)) {
+        timeZoneSelect.value = timeZoneSetting;
+        return;
+    }
+    timeZoneSetting = setting;
+    refreshAfterTimeZoneChange();
+}
+
+// Redo everything that shows or depends on wall-clock dates
+function refreshAfterTimeZoneChange() {
+    dateInput.value = toDateInputValue(currentDate, getTimeZone());
+    lastUiUpdate = 0;
+    updateSimulationFromDate(currentDate);
+    if (selectedEclipsePath) updateEclipsePathInfo();
+    updateEclipseList(currentDate, true);
+}
+
+// Pause and show a specific instant (used by the shortcut buttons)
+function jumpToDate(date) {
+    currentDate = new Date(date.getTime());
+    dateInput.value = toDateInputValue(currentDate, getTimeZone());
+    isPaused = true;
+    pauseBtn.textContent = '재생';
+    lastUiUpdate = 0; // Refresh the info panel straight away
+    updateSimulationFromDate(currentDate);
+}
+
+// Jump to the exact instant of the selected principal phase
+function jumpToPhase(direction) {
+    const target = PRINCIPAL_PHASES[phaseJumpSelect.value];
+    const find = direction > 0 ? findNextPhase : findPreviousPhase;
+    const date = find(currentDate, target);
+    const when = formatDateTime(date, { second: '2-digit' });
+    phaseJumpInfoEl.textContent = `${phaseJumpSelect.selectedOptions[0].textContent}: ${when}`;
+    jumpToDate(date);
 }
 
 function togglePause() {
@@ -308,10 +646,23 @@ function togglePause() {
 // Throttle UI updates
 let lastUiUpdate = 0;
 
+// Scene axes follow the ecliptic: +X points at the March equinox (longitude 0),
+// -Z at longitude 90 deg and +Y at the north ecliptic pole, so increasing
+// longitude runs counter-clockwise seen from above, like rotation.y.
+function eclipticToScene(lon, lat, dist, target = new THREE.Vector3()) {
+    const cosLat = Math.cos(lat * DEG);
+    return target.set(
+        dist * cosLat * Math.cos(lon * DEG),
+        dist * Math.sin(lat * DEG),
+        -dist * cosLat * Math.sin(lon * DEG)
+    );
+}
+
 function updateSimulationFromDate(date) {
-    // 1. Calculate Phase
-    const illumination = SunCalc.getMoonIllumination(date);
-    const phase = illumination.phase; // 0 New, 0.5 Full
+    // 1. Calculate Phase (from the true Sun/Moon geometry)
+    const moonPos = getMoonPosition(date);
+    const sunPos = getSunPosition(date);
+    const phase = getMoonPhase(date, moonPos, sunPos).phase; // 0 New, 0.5 Full
 
     // 2. Update UI (throttled)
     const now = Date.now();
@@ -321,48 +672,61 @@ function updateSimulationFromDate(date) {
     }
 
     // 3. Update Physics (Positions)
-    // Moon visual position relative to Earth
-    const moonRotation = Math.PI + (phase * 2 * Math.PI);
-    moonOrbitPivot.rotation.y = moonRotation;
-
     // Earth Season (Orbit around Sun)
-    const startOfYear = new Date(date.getFullYear(), 0, 0);
-    // Use fractional days for smooth animation
-    const dayOfYear = (date - startOfYear) / (1000 * 60 * 60 * 24);
-
-    // Sync Slider
+    // Earth sits opposite the Sun's apparent longitude, so the March equinox is
+    // always on the -X side of the Sun (Sun seen towards +X) whatever the year.
+    // Its distance follows the real Sun-Earth distance around the ellipse.
+    // With eccentricityScale > 1 the scene is stretched for teaching, so the
+    // 3D geometry then no longer matches the phase readout exactly.
+    const earthOrbit = exaggerateOrbit(sunPos.lon + 180, sunPos.dist / EARTH_ORBIT_A, sunPos, eccentricityScale);
+    eclipticToScene(earthOrbit.lon, 0, EARTH_SUN_DIST * earthOrbit.radius, earthGroup.position);
+    updateOrbitLine(earthOrbitLine, EARTH_SUN_DIST, earthOrbit.eccentricity, sunPos.perigeeLon + 180,
+        perihelionMarker, aphelionMarker);
+    earthTiltGroup.rotation.x = -getMeanObliquity(date) * DEG;
+
+    // Moon position relative to Earth, from its geocentric ecliptic longitude/latitude
+    const moonOrbit = exaggerateOrbit(moonPos.lon, moonPos.dist / MOON_ORBIT_A, moonPos, eccentricityScale);
+    eclipticToScene(moonOrbit.lon, moonPos.lat, EARTH_MOON_DIST * moonOrbit.radius, moonMesh.position);
+    updateOrbitLine(moonOrbitLine, EARTH_MOON_DIST, moonOrbit.eccentricity, moonPos.perigeeLon,
+        perigeeMarker, apogeeMarker);
+    updateLunarNodes(moonPos.nodeLon);
+
+    // Sync Slider (calendar day of year; the orbit itself no longer depends on it)
     if (!isPaused) {
-        orbitSlider.value = dayOfYear;
+        // Use fractional days for smooth animation
+        orbitSlider.value = getZonedDayOfYear(date, getTimeZone());
     }
 
-    const yearRatio = dayOfYear / 365.25;
-    earthOrbitPivot.rotation.y = yearRatio * 2 * Math.PI;
+    // Earth Spin: earthTiltGroup's axes are equatorial (equinox on +X), and
+    // the Greenwich meridian sits at the sidereal time east of the equinox
+    earthMesh.rotation.y = getApparentSiderealTime(date) * DEG;
+    // Terminator from the true Sun direction, not the scene's point light, so
+    // the day side stays right when the orbit is exaggerated
+    eclipticToScene(sunPos.lon, 0, 1, earthDayNightUniforms.uSunDirection.value);
 
-    // Earth Spin
-    const hours = date.getHours() + date.getMinutes() / 60;
-    earthMesh.rotation.y = (hours / 24) * 2 * Math.PI;
+    updateShadowCenterMarker(date);
 
     // 4. Update Phase View (Isolated Scene)
-    updatePhaseView(phase);
+    updatePhaseView(moonPos, sunPos, date);
+    const shadows = updateEclipseShading(moonPos, sunPos, date);
+    if (viewMode === 'horizon') updateHorizonView(moonPos, sunPos, date, shadows.earthShadow);
 
     // 5. Update Guide Lines
-    updateGuideLines();
+    updateGuideLines(shadows, moonPos);
 }
 
-function updateGuideLines() {
+function updateGuideLines(shadows, moonEphemeris) {
     // Sun -> Earth
-    // Sun is at 0,0,0. Earth is at earthOrbitPivot.position + rotation offset?
-    // Actually simpler: Get world positions.
-    // Earth is inside earthOrbitPivot -> earthGroup -> earthMesh
-    // Moon is inside earthOrbitPivot -> earthGroup -> moonOrbitPivot -> moonMesh
+    // Sun is at 0,0,0. Simplest is to get world positions.
+    // Earth is inside earthGroup -> earthTiltGroup -> earthMesh
+    // Moon is inside earthGroup -> moonMesh
 
     // Since we are using a scene graph, obtaining world position is best done via updateMatrixWorld
     // but better to just calculate coordinates if optimization is key. 
     // For now, let's use vectors updated from matrices for accuracy.
 
     // We can't rely on earthMesh.position because it's local (0,0,0 inside group except for spin?). 
-    // Wait, earthMesh is at (0,0,0) inside earthGroup. 
-    // earthGroup is at (EARTH_SUN_DIST, 0, 0) inside earthOrbitPivot.
+    // earthMesh is at (0,0,0) inside earthGroup, which is moved around the Sun.
 
     // We need the world coordinates.
     // Force update of matrices for this frame
@@ -388,50 +752,248 @@ function updateGuideLines() {
     positions2[0] = earthPos.x; positions2[1] = earthPos.y; positions2[2] = earthPos.z;
     positions2[3] = moonPos.x; positions2[4] = moonPos.y; positions2[5] = moonPos.z;
     earthMoonLine.geometry.attributes.position.needsUpdate = true;
+
+    // Shadow Cones, squeezed along their axes like the Earth-Moon distance
+    if (shadowConeToggle.checked) {
+        const kmPerUnit = moonEphemeris.dist / moonMesh.position.length();
+        const common = { sunPos, kmPerUnit, toScene: eclipticVectorToScene };
+        earthShadowCone.update({
+            ...common,
+            casterPos: earthPos,
+            targetPos: moonPos,
+            casterRadius: EARTH_RADIUS,
+            shadow: shadows.earthShadow
+        });
+        moonShadowCone.update({
+            ...common,
+            casterPos: moonPos,
+            targetPos: earthPos,
+            casterRadius: MOON_RADIUS,
+            shadow: shadows.moonShadow
+        });
+    }
+}
+
+// Geographic lat/lon -> earthMesh local coordinates. The texture puts the
+// prime meridian on local +X and east longitudes towards -Z.
+function latLonToEarthLocal(lat, lon, radius, target = new THREE.Vector3()) {
+    return eclipticToScene(lon, lat, radius, target);
 }
 
-function updatePhaseView(phase) {
-    // Rotate light based on phase
-    // Phase 0 (New) -> Light at 180 deg (behind moon)
-    // Phase 0.5 (Full) -> Light at 0 deg (front)
+const ECLIPSE_PATH_STYLES = {
+    centralLine: { color: 0xff3300, opacity: 1 },
+    northLimit: { color: 0xffaa00, opacity: 0.9 },
+    southLimit: { color: 0xffaa00, opacity: 0.9 },
+    penumbraNorth: { color: 0xffff88, opacity: 0.5 },
+    penumbraSouth: { color: 0xffff88, opacity: 0.5 }
+};
+
+// Draw (or clear, with null) the ground track of a solar eclipse on the globe
+function showEclipsePath(eclipse) {
+    for (const line of [...eclipsePathGroup.children]) {
+        line.geometry.dispose();
+        line.material.dispose();
+        eclipsePathGroup.remove(line);
+    }
+    selectedEclipsePath = eclipse && { eclipse, ...getEclipsePath(eclipse) };
+    eclipsePathRow.hidden = !selectedEclipsePath;
+    if (!selectedEclipsePath) return;
+
+    // Lift the lines just off the surface so they don't z-fight with it
+    const radius = EARTH_RADIUS * 1.004;
+    for (const [name, style] of Object.entries(ECLIPSE_PATH_STYLES)) {
+        for (const polyline of selectedEclipsePath[name]) {
+            const points = polyline.map(({ lat, lon }) => latLonToEarthLocal(lat, lon, radius));
+            const geo = new THREE.BufferGeometry().setFromPoints(points);
+            const mat = new THREE.LineBasicMaterial({ color: style.color, transparent: true, opacity: style.opacity });
+            eclipsePathGroup.add(new THREE.Line(geo, mat));
+        }
+    }
+
+    updateEclipsePathInfo();
+}
+
+function updateEclipsePathInfo() {
+    const { eclipse, start, end } = selectedEclipsePath;
+    eclipsePathInfoEl.textContent = `경로: ${formatEclipse(eclipse)}` +
+        (start ? ` · 부분식 ${formatClockTime(start)}–${formatClockTime(end)}` : '');
+}
+
+// Follow the centre of the Moon's shadow across the globe during the eclipse
+function updateShadowCenterMarker(date) {
+    const path = selectedEclipsePath;
+    const center = path && path.start && date >= path.start && date <= path.end && getShadowCenter(date);
+    shadowCenterMarker.visible = Boolean(center);
+    if (center) {
+        latLonToEarthLocal(center.lat, center.lon, EARTH_RADIUS * 1.004, shadowCenterMarker.position);
+    }
+}
 
-    // We want the light to rotate AROUND the moon.
-    // Let's create a vector for light position.
+// Geocentric ecliptic cartesian [x, y, z] (astro/shadows.js) -> scene axes
+function eclipticVectorToScene(v, scale = 1, target = new THREE.Vector3()) {
+    return target.set(v[0] * scale, v[2] * scale, -v[1] * scale);
+}
+
+// Axes of the phase view in scene coordinates: looking at the Moon from Earth
+// with celestial north up, +X is west, +Y north and +Z back towards the
+// viewer. The camera is then rolled to the observer's zenith (updatePhaseView).
+function getPhaseViewBasis(moonPos, date) {
+    const z = eclipticToScene(moonPos.lon, moonPos.lat, -1);
+    // North celestial pole, in ecliptic coordinates
+    const pole = eclipticToScene(90, 90 - getTrueObliquity(date), 1);
+    const y = pole.addScaledVector(z, -pole.dot(z)).normalize();
+    return { x: new THREE.Vector3().crossVectors(y, z), y, z };
+}
+
+function toPhaseView(v, basis, target = new THREE.Vector3()) {
+    return target.set(v.dot(basis.x), v.dot(basis.y), v.dot(basis.z));
+}
+
+// Feed the true-scale shadow cones to the eclipse shaders. Nothing shows
+// unless the real geometry puts a body in the other's shadow.
+function updateEclipseShading(moonPos, sunPos, date) {
+    // Earth's shadow on the Moon (lunar eclipse), in Moon radii
+    const earthShadow = getEarthShadow(moonPos, sunPos);
+    const axis = eclipticVectorToScene(earthShadow.axis);
+    const offset = eclipticVectorToScene(earthShadow.targetOffset, 1 / MOON_RADIUS_KM);
+    const umbra = earthShadow.umbraRadius / MOON_RADIUS_KM;
+    const penumbra = earthShadow.penumbraRadius / MOON_RADIUS_KM;
+
+    moonEclipseUniforms.uShadowAxis.value.copy(axis);
+    moonEclipseUniforms.uShadowOffset.value.copy(offset);
+    moonEclipseUniforms.uUmbraRadius.value = umbra;
+    moonEclipseUniforms.uPenumbraRadius.value = penumbra;
+
+    // Same shadow in the phase view's frame
+    const basis = getPhaseViewBasis(moonPos, date);
+    toPhaseView(axis, basis, phaseMoonEclipseUniforms.uShadowAxis.value);
+    toPhaseView(offset, basis, phaseMoonEclipseUniforms.uShadowOffset.value);
+    phaseMoonEclipseUniforms.uUmbraRadius.value = umbra;
+    phaseMoonEclipseUniforms.uPenumbraRadius.value = penumbra;
+
+    // The Moon's shadow on Earth (solar eclipse), in Earth radii
+    const moonShadow = getMoonShadow(moonPos, sunPos);
+    eclipticVectorToScene(moonShadow.axis, 1, earthEclipseUniforms.uShadowAxis.value);
+    eclipticVectorToScene(moonShadow.origin, 1 / EARTH_RADIUS_KM, earthEclipseUniforms.uShadowOrigin.value);
+    earthEclipseUniforms.uMoonRadius.value = MOON_RADIUS_KM / EARTH_RADIUS_KM;
+    earthEclipseUniforms.uUmbraSlope.value = moonShadow.umbraSlope;
+    earthEclipseUniforms.uPenumbraSlope.value = moonShadow.penumbraSlope;
+
+    return { earthShadow, moonShadow };
+}
+
+// Sun, Moon and the Earth's shadow in the observer's local axes
+function updateHorizonView(moonPos, sunPos, date, earthShadow) {
+    const sun = eclipticToTopocentric(eclipticToVector(sunPos.lon, 0, sunPos.dist * AU_KM), observer, date);
+    const moon = eclipticToTopocentric(eclipticToVector(moonPos.lon, moonPos.lat, moonPos.dist), observer, date);
+    const local = (v, scale = 1) => eclipticToLocal(v, observer, date).map((c) => c * scale);
+
+    horizonView.update({
+        sun,
+        moon,
+        sunRadiusKm: SUN_RADIUS_KM,
+        moonRadiusKm: MOON_RADIUS_KM,
+        // The celestial pole stands due north at an altitude equal to the latitude
+        pole: [0, Math.cos(observer.lat * DEG), Math.sin(observer.lat * DEG)],
+        sunAltitude: Math.asin(sun[2] / Math.hypot(...sun)) * RAD,
+        earthShadow: {
+            axis: local(earthShadow.axis),
+            offset: local(earthShadow.targetOffset, 1 / MOON_RADIUS_KM),
+            umbraRadius: earthShadow.umbraRadius / MOON_RADIUS_KM,
+            penumbraRadius: earthShadow.penumbraRadius / MOON_RADIUS_KM
+        }
+    });
+    return moon;
+}
+
+// Put a map layer on both Moons. If its file isn't in public/, say so and
+// go back to the map that was showing.
+function setMoonLayer(id) {
+    moonLayerInfoEl.textContent = '불러오는 중...';
+    moonLayers.show(id, (ok) => {
+        if (ok) {
+            moonLayerId = id;
+            moonLayerInfoEl.textContent = '';
+            return;
+        }
+        moonLayerInfoEl.textContent = `지도 파일이 없습니다: public/${findMoonLayer(id).url.replace('./', '')}`;
+        moonLayerSelect.value = moonLayerId;
+        moonLayers.show(moonLayerId);
+    });
+}
 
-    // Convert phase to angle.
-    // lightAngle = 0 is Front.
-    // Phase 0.0 (New) => Angle PI (Back)
-    // Phase 0.25 (First Q) => Angle PI/2 (Right)
-    // Phase 0.5 (Full) => Angle 0 (Front)
-    // Phase 0.75 (Last Q) => Angle -PI/2 (Left)
+function setViewMode(mode) {
+    viewMode = mode;
+    const horizon = mode === 'horizon';
+    labelRenderer.domElement.style.display = horizon ? 'none' : '';
+    horizonView.setActive(horizon);
+    if (horizon) {
+        const moonPos = getMoonPosition(currentDate);
+        const sunPos = getSunPosition(currentDate);
+        const moon = updateHorizonView(moonPos, sunPos, currentDate, getEarthShadow(moonPos, sunPos));
+        // Face the Moon, or the pole-side horizon while it is down
+        horizonView.lookToward(moon[2] > 0 ? moon : [0, observer.lat >= 0 ? -1 : 1, 0]);
+    }
+}
 
-    // SunCalc Phase:
-    // 0 = New Moon
-    // 0.25 = First Quarter
-    // 0.5 = Full Moon
-    // 0.75 = Last Quarter
+// Light the phase view's Moon from where the Sun really is, then roll the
+// view so the observer's zenith is up. The bright limb then sits at its
+// position angle minus the parallactic angle from "up", as in the sky
+// (e.g. the "smiling" crescent seen near the equator).
+function updatePhaseView(moonPos, sunPos, date) {
+    const basis = getPhaseViewBasis(moonPos, date);
+
+    // Direction from the Moon to the Sun (the Sun is ~390x further than the
+    // Moon, so this differs from the geocentric direction by up to ~0.15 deg)
+    const sun = eclipticToVector(sunPos.lon, 0, sunPos.dist * AU_KM);
+    const moon = eclipticToVector(moonPos.lon, moonPos.lat, moonPos.dist);
+    const toSun = eclipticVectorToScene(sun.map((c, i) => c - moon[i])).normalize();
+    toPhaseView(toSun, basis, phaseLight.position).multiplyScalar(10);
+
+    // Earthshine: the night side lit by Earth, brightest near new moon
+    phaseEarthshineUniforms.uSunDirection.value.copy(phaseLight.position).normalize();
+    setEarthshine(phaseEarthshineUniforms, getEarthshineFactor(getMoonPhase(date, moonPos, sunPos).phaseAngle));
+
+    // Libration: bring the sub-Earth point to the centre of the disc, then
+    // turn the lunar north pole to its position angle (east is -X)
+    const libration = getLibration(date, moonPos);
+    phaseMoonMesh.rotation.set(libration.lat * DEG, -libration.lon * DEG, libration.positionAngle * DEG, 'ZXY');
+
+    const { parallacticAngle } = getMoonHorizontal(observer, date, moonPos);
+    phaseCamera.rotation.z = getPhaseViewRoll(parallacticAngle) * DEG;
+}
 
-    // Mapping:
-    // 0 -> PI
-    // 0.25 -> PI/2
-    // 0.5 -> 0
-    // 0.75 -> -PI/2
-    // 1.0 -> -PI
+// Roll of the phase view from celestial-north-up, in degrees. South of the
+// equator the Moon is seen facing north, so it appears upside down (and its
+// lit side left/right swapped) compared with northern-hemisphere pictures.
+function getPhaseViewRoll(parallacticAngle) {
+    const mode = getPhaseViewMode();
+    if (mode === 'north') return 0;
+    if (mode === 'south') return 180;
+    return parallacticAngle; // zenith up
+}
 
-    const angle = Math.PI - (phase * 2 * Math.PI);
+const PHASE_ORIENTATION_LABELS = {
+    zenith: '천정이 위',
+    north: '북쪽이 위',
+    south: '남쪽이 위'
+};
 
-    const dist = 10;
-    phaseLight.position.x = Math.sin(angle) * dist;
-    phaseLight.position.z = Math.cos(angle) * dist;
-    phaseLight.position.y = 0;
+// The orientation setting with 'hemisphere' resolved for the observer
+function getPhaseViewMode() {
+    if (phaseOrientation !== 'hemisphere') return phaseOrientation;
+    return observer.lat >= 0 ? 'north' : 'south';
+}
 
-    phaseLight.lookAt(0, 0, 0);
+// Follows the orientation setting and, for 'hemisphere', the observer
+function updatePhaseOrientationLabel() {
+    phaseOrientationLabelEl.textContent = PHASE_ORIENTATION_LABELS[getPhaseViewMode()];
 }
 
 function updateSimulationInfoThrottled(date, phase) {
-    const solarYear = date.getFullYear();
-    const solarMonth = date.getMonth() + 1;
-    const solarDay = date.getDate();
+    const timeZone = getTimeZone();
+    const { year: solarYear, month: solarMonth, day: solarDay } = getZonedParts(date, timeZone);
+    clockInfoEl.textContent = `${formatDateTime(date)} (${timeZone}, ${formatTimeZoneOffset(date, timeZone)})`;
 
     try {
         const lunarData = solarlunar.solar2lunar(solarYear, solarMonth, solarDay);
@@ -441,6 +1003,154 @@ function updateSimulationInfoThrottled(date, phase) {
     } catch (e) {
         // ignore
     }
+
+    updateEclipseInfo(date);
+    updateObserverInfo(date);
+}
+
+function updateObserverInfo(date) {
+    const moonPos = getMoonPosition(date);
+    const sunPos = getSunPosition(date);
+    const { altitude, azimuth, ra, dec, parallacticAngle } = getMoonHorizontal(observer, date, moonPos);
+    const brightLimb = getBrightLimbAngle({ ra, dec }, eclipticToEquatorial(sunPos.lon, 0, date));
+    const state = altitude > 0 ? '지평선 위' : '지평선 아래';
+    moonHorizontalInfoEl.textContent = `달 고도 ${altitude.toFixed(1)}°, 방위각 ${azimuth.toFixed(1)}° (${state}) · ` +
+        `밝은 가장자리 ${brightLimb.toFixed(0)}°, 시차각 ${parallacticAngle.toFixed(0)}°`;
+
+    updateMoonTimesInfo(date);
+    updateSunTimesInfo(date);
+    updateMoonChart(date);
+}
+
+let moonTimesKey = null;
+let sunTimesKey = null;
+let skyTimeline = null;
+let nightTimeline = null;
+
+// Rise/transit/set for the observer's day; only recomputed when the day or
+// the observer changes
+function updateMoonTimesInfo(date) {
+    const timeZone = getTimeZone();
+    const key = `${toDateInputValue(date, timeZone)} ${timeZone} ${observer.lat} ${observer.lon}`;
+    if (key === moonTimesKey) return;
+    moonTimesKey = key;
+
+    const times = getMoonTimes(observer, date, timeZone);
+    const time = formatClockTime;
+    const noCrossing = times.alwaysUp ? '종일 지평선 위' : times.alwaysDown ? '종일 지평선 아래' : null;
+    moonriseInfoEl.textContent = `월출 ${times.rise ? time(times.rise) : noCrossing || '없음'}`;
+    moonsetInfoEl.textContent = `월몰 ${times.set ? time(times.set) : noCrossing || '없음'}`;
+    // The Moon culminates due south seen from north of it, due north from the south
+    const transit = observer.lat >= 0 ? '남중' : '북중';
+    moonTransitInfoEl.textContent = times.transit
+        ? `${transit} ${time(times.transit)} (최고 고도 ${times.maxAltitude.toFixed(1)}°)`
+        : `${transit} 없음`;
+}
+
+// Sunrise/sunset, twilights and the day/night bar; the bar is resampled only
+// when the day or the observer changes, the current-time mark every update
+function updateSunTimesInfo(date) {
+    const timeZone = getTimeZone();
+    const key = `${toDateInputValue(date, timeZone)} ${timeZone} ${observer.lat} ${observer.lon}`;
+    if (key !== sunTimesKey) {
+        sunTimesKey = key;
+        skyTimeline = getSkyTimeline(observer, date, timeZone);
+
+        const times = getSunTimes(observer, date, timeZone);
+        const time = (d) => (d ? formatClockTime(d) : '없음');
+        const range = (dawn, dusk) => `${time(dawn)}–${time(dusk)}`;
+        const noon = observer.lat >= 0 ? '태양 남중' : '태양 북중';
+        sunTimesInfoEl.textContent =
+            `일출 ${time(times.sunrise)} · ${noon} ${time(times.solarNoon)} · 일몰 ${time(times.sunset)}`;
+        twilightInfoEl.textContent = `박명 시작–끝: 시민 ${range(times.civilDawn, times.civilDusk)} · ` +
+            `항해 ${range(times.nauticalDawn, times.nauticalDusk)} · 천문 ${range(times.astronomicalDawn, times.astronomicalDusk)}`;
+    }
+    drawDayTimeline(dayTimelineCanvas, skyTimeline, date);
+}
+
+// Tonight's Moon altitude chart and sky path (also traced in the horizon
+// view); resampled once the clock leaves the noon-to-noon span
+function updateMoonChart(date) {
+    const timeZone = getTimeZone();
+    const stale = !nightTimeline || date < nightTimeline.start || date > nightTimeline.end ||
+        nightTimeline.observer !== observer || nightTimeline.timeZone !== timeZone;
+    if (stale) {
+        nightTimeline = getNightTimeline(observer, date, timeZone);
+        nightTimeline.observer = observer;
+        horizonView.setMoonPath(nightTimeline.samples);
+    }
+    drawMoonAltitudeChart(moonAltitudeChart, nightTimeline, date);
+    drawSkyPath(moonSkyPathCanvas, nightTimeline, date);
+}
+
+const ECLIPSE_NAMES = {
+    solar: { total: '개기일식', annular: '금환일식', hybrid: '혼성일식', partial: '부분일식' },
+    lunar: { total: '개기월식', partial: '부분월식', penumbral: '반영월식' }
+};
+
+let nextSolarEclipse = null;
+let nextLunarEclipse = null;
+
+// An eclipse stays listed as "next" while it is still in progress
+const ECLIPSE_LISTED_AFTER = 3 * 60 * 60 * 1000;
+
+function updateEclipseInfo(date) {
+    // Only search again once the simulation clock has moved past the cached ones
+    // (or gone back before "now", e.g. after picking an earlier date)
+    const from = new Date(date.getTime() - ECLIPSE_LISTED_AFTER);
+    const stale = (eclipse) => !eclipse || eclipse.date <= from || eclipse.searchedFrom > from;
+    if (stale(nextSolarEclipse)) {
+        nextSolarEclipse = findNextEclipse(from, 'solar');
+        if (nextSolarEclipse) nextSolarEclipse.searchedFrom = from;
+    }
+    if (stale(nextLunarEclipse)) {
+        nextLunarEclipse = findNextEclipse(from, 'lunar');
+        if (nextLunarEclipse) nextLunarEclipse.searchedFrom = from;
+    }
+    nextSolarEclipseEl.textContent = formatEclipse(nextSolarEclipse);
+    nextLunarEclipseEl.textContent = formatEclipse(nextLunarEclipse);
+    updateEclipseList(date);
+}
+
+// Every eclipse within ECLIPSE_LIST_YEARS of the date, to pick from. The
+// list is rebuilt only when the date leaves the middle of its span (or the
+// time zone changes the labels), so an open dropdown isn't reset under the user.
+const ECLIPSE_LIST_YEARS = 3;
+const YEAR_MS = 365.25 * MS_PER_DAY;
+let listedEclipses = [];
+let listedSpan = null;
+
+function updateEclipseList(date, force = false) {
+    const margin = YEAR_MS;
+    if (!force && listedSpan && date - listedSpan.start > margin && listedSpan.end - date > margin) return;
+    const selected = listedEclipses[eclipseListSelect.value];
+    listedSpan = {
+        start: new Date(date.getTime() - ECLIPSE_LIST_YEARS * YEAR_MS),
+        end: new Date(date.getTime() + ECLIPSE_LIST_YEARS * YEAR_MS)
+    };
+    listedEclipses = findEclipses(listedSpan.start, listedSpan.end);
+    eclipseListSelect.replaceChildren(...listedEclipses.map((eclipse, i) => new Option(formatEclipse(eclipse), i)));
+
+    // Keep the user's pick, else preselect the first one still to come
+    const keep = selected && listedEclipses.findIndex((eclipse) => eclipse.date.getTime() === selected.date.getTime());
+    const upcoming = listedEclipses.findIndex((eclipse) => eclipse.date >= date);
+    eclipseListSelect.value = keep >= 0 ? keep : Math.max(upcoming, 0);
+}
+
+// Jump to an eclipse; a solar one also gets its ground track, a lunar one
+// clears any track so the globe shows the eclipse being looked at
+function goToEclipse(eclipse) {
+    if (!eclipse) return;
+    showEclipsePath(eclipse.kind === 'solar' ? eclipse : null);
+    const i = listedEclipses.findIndex((listed) => listed.date.getTime() === eclipse.date.getTime());
+    if (i >= 0) eclipseListSelect.value = i;
+    jumpToDate(eclipse.date);
+}
+
+function formatEclipse(eclipse) {
+    if (!eclipse) return '-';
+    const when = formatDateTime(eclipse.date);
+    return `${when} ${ECLIPSE_NAMES[eclipse.kind][eclipse.type]} (식분 ${eclipse.magnitude.toFixed(3)}, Saros ${eclipse.saros})`;
 }
 
 function getPhaseName(phase) {
@@ -462,6 +1172,7 @@ function onWindowResize() {
     camera.updateProjectionMatrix();
     renderer.setSize(w, h);
     labelRenderer.setSize(w, h); // Resize label renderer too
+    horizonView.resize(w, h);
 }
 
 function animate() {
@@ -487,8 +1198,12 @@ function animate() {
         updateSimulationFromDate(currentDate);
     }
 
-    renderer.render(scene, camera);
-    labelRenderer.render(scene, camera); // Render labels
+    if (viewMode === 'horizon') {
+        horizonView.render(renderer);
+    } else {
+        renderer.render(scene, camera);
+        labelRenderer.render(scene, camera); // Render labels
+    }
     phaseRenderer.render(phaseScene, phaseCamera);
 }
 
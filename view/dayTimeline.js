@@ -0,0 +1,67 @@
+import { SUN_ALTITUDES } from '../astro/observer.js';
+import { getZonedParts, zonedTimeToDate } from '../astro/timeZone.js';
+
+// --- Day/night timeline ---
+// A 24-hour bar for the observer's day: daylight and the three twilights
+// shaded by the Sun's altitude, with the stretch the Moon spends above the
+// horizon drawn underneath. Drawn on a 2D canvas from getSkyTimeline().
+
+const SKY_BANDS = [
+    { above: SUN_ALTITUDES.sunrise, color: '#5fa8e6' },     // Day
+    { above: SUN_ALTITUDES.civil, color: '#3d73a8' },       // Civil twilight
+    { above: SUN_ALTITUDES.nautical, color: '#25477a' },    // Nautical twilight
+    { above: SUN_ALTITUDES.astronomical, color: '#172a52' }, // Astronomical twilight
+    { above: -Infinity, color: '#070b18' }                   // Night
+];
+const MOON_COLOR = '#f2e6a0';
+
+const SKY_HEIGHT = 22;
+const MOON_TOP = 26;
+const MOON_HEIGHT = 6;
+const LABEL_TOP = 36;
+
+export function skyColor(altitude) {
+    return SKY_BANDS.find((band) => altitude > band.above).color;
+}
+
+export function drawDayTimeline(canvas, timeline, now) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const { dayStart, dayEnd, stepMs, sun, moon, timeZone } = timeline;
+    const span = dayEnd - dayStart;
+    const xAt = (t) => ((t - dayStart) / span) * width;
+
+    ctx.clearRect(0, 0, width, height);
+
+    // Sky, one column per sample
+    for (let i = 0; i < sun.length - 1; i++) {
+        const x0 = xAt(dayStart.getTime() + i * stepMs);
+        const x1 = Math.min(width, xAt(dayStart.getTime() + (i + 1) * stepMs));
+        ctx.fillStyle = skyColor((sun[i] + sun[i + 1]) / 2);
+        ctx.fillRect(x0, 0, x1 - x0 + 0.5, SKY_HEIGHT);
+
+        if (moon[i] > 0 || moon[i + 1] > 0) {
+            ctx.fillStyle = MOON_COLOR;
+            ctx.fillRect(x0, MOON_TOP, x1 - x0 + 0.5, MOON_HEIGHT);
+        }
+    }
+
+    // Hour ticks and labels every 3 h
+    ctx.fillStyle = '#aaa';
+    ctx.font = '10px sans-serif';
+    ctx.textBaseline = 'top';
+    const { year, month, day } = getZonedParts(dayStart, timeZone);
+    for (let h = 0; h <= 24; h += 3) {
+        const tick = h === 24 ? dayEnd : zonedTimeToDate({ year, month, day, hour: h }, timeZone);
+        const x = Math.round(xAt(tick.getTime()));
+        ctx.fillRect(Math.min(x, width - 1), SKY_HEIGHT, 1, 3);
+        ctx.textAlign = h === 0 ? 'left' : h === 24 ? 'right' : 'center';
+        ctx.fillText(String(h), Math.min(x, width), LABEL_TOP);
+    }
+
+    // Current time
+    if (now >= dayStart && now <= dayEnd) {
+        ctx.fillStyle = '#ff4d4d';
+        ctx.fillRect(Math.round(xAt(now.getTime())) - 1, 0, 2, MOON_TOP + MOON_HEIGHT);
+    }
+}
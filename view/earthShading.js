@@ -0,0 +1,69 @@
+import * as THREE from 'three';
+import { addShaderPatch, worldNormalVertex } from './materialPatches.js';
+
+// --- Earth day/night shading ---
+// Blends Earth's day side into its night side across the terminator of the
+// true sub-solar point: ambient light fades out through twilight (Sun 6 deg
+// up to 18 deg below the horizon), and city lights from a night texture fade in
+// as it gets dark. Without a night texture the night side just stays dark.
+//   uSunDirection   unit vector from Earth towards the Sun, world frame
+//   uNightMap       night-lights texture (same layout as the day map)
+//   uHasNightMap    1 once uNightMap is loaded, else 0
+
+// Sine of the Sun's altitude at the end of astronomical twilight (-18 deg),
+// the end of civil twilight (-6 deg) and where full daylight begins (+6 deg)
+const SIN_ASTRONOMICAL = Math.sin(THREE.MathUtils.degToRad(-18)).toFixed(4);
+const SIN_CIVIL = Math.sin(THREE.MathUtils.degToRad(-6)).toFixed(4);
+const SIN_DAY = Math.sin(THREE.MathUtils.degToRad(6)).toFixed(4);
+
+export function applyDayNightShading(material) {
+    const uniforms = {
+        uSunDirection: { value: new THREE.Vector3(1, 0, 0) },
+        uNightMap: { value: null },
+        uHasNightMap: { value: 0 },
+        uNightAmbient: { value: 0.3 }, // Share of ambient light left at night
+        uCityLights: { value: 1.5 }
+    };
+
+    addShaderPatch(material, 'day-night', (shader) => {
+        Object.assign(shader.uniforms, uniforms);
+
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', '#include <common>\nvarying vec3 vDayNightNormal;')
+            .replace('#include <beginnormal_vertex>', worldNormalVertex('vDayNightNormal'));
+
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', /* glsl */ `#include <common>
+                varying vec3 vDayNightNormal;
+                uniform vec3 uSunDirection;
+                uniform sampler2D uNightMap;
+                uniform float uHasNightMap;
+                uniform float uNightAmbient;
+                uniform float uCityLights;`)
+            .replace('#include <lights_fragment_end>', /* glsl */ `#include <lights_fragment_end>
+                // Sine of the Sun's altitude seen from this point on the ground
+                float sunSine = dot(normalize(vDayNightNormal), uSunDirection);
+                float daylight = smoothstep(${SIN_ASTRONOMICAL}, ${SIN_DAY}, sunSine);
+                reflectedLight.indirectDiffuse *= mix(uNightAmbient, 1.0, daylight);
+                float darkness = 1.0 - smoothstep(${SIN_ASTRONOMICAL}, ${SIN_CIVIL}, sunSine);`)
+            .replace('#include <opaque_fragment>', /* glsl */ `
+                #ifdef USE_MAP
+                    outgoingLight += texture2D(uNightMap, vMapUv).rgb * uHasNightMap * uCityLights * darkness;
+                #endif
+                #include <opaque_fragment>`);
+    });
+    return uniforms;
+}
+
+// Load the night-lights texture into the uniforms if it exists. The bundled
+// public/earth_night.jpg is NASA's Black Marble with the lights lifted off
+// the dark ground, in the same equirectangular layout as the Blue Marble
+// day map (public/earth.jpg); without it the night side stays unlit.
+export function loadNightLights(uniforms, url, textureLoader = new THREE.TextureLoader()) {
+    textureLoader.load(url, (texture) => {
+        uniforms.uNightMap.value = texture;
+        uniforms.uHasNightMap.value = 1;
+    }, undefined, () => {
+        uniforms.uHasNightMap.value = 0;
+    });
+}
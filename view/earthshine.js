@@ -0,0 +1,52 @@
+import * as THREE from 'three';
+import { addShaderPatch, worldNormalVertex } from './materialPatches.js';
+
+// --- Earthshine ---
+// Sunlight reflected off Earth onto the Moon: the ashen glow that shows the
+// rest of the disc beside a thin crescent. It lights the Moon from Earth's
+// direction, only where the Sun doesn't, with a strength set from the phase
+// (astro/phase.js getEarthshineFactor). Real earthshine is a few thousand
+// times fainter than sunlight; here it is boosted to be visible on screen.
+//   uSunDirection    unit vector from the Moon towards the Sun, world frame
+//   uEarthDirection  unit vector from the Moon towards Earth, world frame
+//   uEarthshine      colour x strength of the light reaching the Moon
+
+// Share of direct sunlight given to earthshine at new moon
+const EARTHSHINE_AT_NEW_MOON = 0.05;
+// Earth's reflected light is bluish (oceans and Rayleigh scattering)
+const EARTHSHINE_COLOR = new THREE.Color(0.75, 0.85, 1.0);
+
+export function applyEarthshine(material) {
+    const uniforms = {
+        uSunDirection: { value: new THREE.Vector3(1, 0, 0) },
+        uEarthDirection: { value: new THREE.Vector3(0, 0, 1) },
+        uEarthshine: { value: new THREE.Color(0x000000) }
+    };
+
+    addShaderPatch(material, 'earthshine', (shader) => {
+        Object.assign(shader.uniforms, uniforms);
+
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', '#include <common>\nvarying vec3 vEarthshineNormal;')
+            .replace('#include <beginnormal_vertex>', worldNormalVertex('vEarthshineNormal'));
+
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', /* glsl */ `#include <common>
+                varying vec3 vEarthshineNormal;
+                uniform vec3 uSunDirection;
+                uniform vec3 uEarthDirection;
+                uniform vec3 uEarthshine;`)
+            .replace('#include <lights_fragment_end>', /* glsl */ `#include <lights_fragment_end>
+                vec3 earthshineNormal = normalize(vEarthshineNormal);
+                // Night side only, fading in just past the terminator
+                float unlit = 1.0 - smoothstep(-0.05, 0.05, dot(earthshineNormal, uSunDirection));
+                float earthFacing = max(dot(earthshineNormal, uEarthDirection), 0.0);
+                reflectedLight.indirectDiffuse += uEarthshine * earthFacing * unlit * diffuseColor.rgb;`);
+    });
+    return uniforms;
+}
+
+// Set the earthshine strength from getEarthshineFactor() (1 at new moon)
+export function setEarthshine(uniforms, factor) {
+    uniforms.uEarthshine.value.copy(EARTHSHINE_COLOR).multiplyScalar(EARTHSHINE_AT_NEW_MOON * factor);
+}
@@ -0,0 +1,96 @@
+import * as THREE from 'three';
+import { addShaderPatch, worldNormalVertex } from './materialPatches.js';
+
+// --- Eclipse shading ---
+// Shader patches for MeshStandardMaterial that dim the direct sunlight on a
+// body where it lies in the other body's shadow. The shadow cones come from
+// astro/shadows.js at true scale; the uniforms are expressed in the target
+// body's own radii so the scene's distorted distances never matter.
+// Penumbral dimming is treated as linear across the penumbra.
+
+function patchMaterial(material, name, uniforms, fragmentHeader, factorExpression) {
+    addShaderPatch(material, name, (shader) => {
+        Object.assign(shader.uniforms, uniforms);
+
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', '#include <common>\nvarying vec3 vEclipseNormal;')
+            .replace('#include <beginnormal_vertex>', worldNormalVertex('vEclipseNormal'));
+
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>\nvarying vec3 vEclipseNormal;\n${fragmentHeader}`)
+            .replace('#include <lights_fragment_end>', `#include <lights_fragment_end>
+                vec3 eclipseFactor = ${factorExpression};
+                reflectedLight.directDiffuse *= eclipseFactor;
+                reflectedLight.directSpecular *= eclipseFactor;`);
+    });
+    return uniforms;
+}
+
+// Lunar eclipse: the Moon inside Earth's shadow. Direct light fades across
+// the penumbra; inside the umbra only sunlight refracted by Earth's
+// atmosphere is left, which is dim and red, and darker towards the axis.
+//   uShadowAxis     shadow direction, in the mesh's world frame
+//   uShadowOffset   Moon centre minus the nearest point on the axis (Moon radii)
+//   uUmbraRadius / uPenumbraRadius   at the Moon's distance (Moon radii)
+export function applyLunarEclipseShading(material) {
+    const uniforms = {
+        uShadowAxis: { value: new THREE.Vector3(1, 0, 0) },
+        uShadowOffset: { value: new THREE.Vector3(1e3, 0, 0) },
+        uUmbraRadius: { value: 0 },
+        uPenumbraRadius: { value: 0 }
+    };
+
+    return patchMaterial(material, 'lunar-eclipse', uniforms, /* glsl */ `
+        uniform vec3 uShadowAxis;
+        uniform vec3 uShadowOffset;
+        uniform float uUmbraRadius;
+        uniform float uPenumbraRadius;
+
+        vec3 lunarEclipseFactor(vec3 normal) {
+            vec3 p = uShadowOffset + normal;
+            float d = length(p - dot(p, uShadowAxis) * uShadowAxis);
+            float sunVisible = clamp((d - uUmbraRadius) / max(uPenumbraRadius - uUmbraRadius, 1e-3), 0.0, 1.0);
+            float depth = clamp((uUmbraRadius - d) / max(uUmbraRadius, 1e-3), 0.0, 1.0);
+            vec3 umbraGlow = vec3(0.32, 0.10, 0.04) * (1.0 - 0.6 * depth);
+            return mix(umbraGlow, vec3(1.0), sunVisible);
+        }
+    `, 'lunarEclipseFactor(normalize(vEclipseNormal))');
+}
+
+// Solar eclipse: the Moon's shadow on Earth.
+//   uShadowAxis     shadow direction, in the mesh's world frame
+//   uShadowOrigin   Moon centre relative to Earth's centre (Earth radii)
+//   uMoonRadius     Moon radius (Earth radii)
+//   uUmbraSlope / uPenumbraSlope   cone radius change per Earth radius along the axis
+// Past the umbra's tip the antumbra of an annular eclipse still leaves a ring
+// of Sun, so it only dims to ~10% instead of going dark.
+export function applySolarEclipseShading(material) {
+    const uniforms = {
+        uShadowAxis: { value: new THREE.Vector3(1, 0, 0) },
+        uShadowOrigin: { value: new THREE.Vector3(1e3, 0, 0) },
+        uMoonRadius: { value: 0.27 },
+        uUmbraSlope: { value: 0 },
+        uPenumbraSlope: { value: 0 }
+    };
+
+    return patchMaterial(material, 'solar-eclipse', uniforms, /* glsl */ `
+        uniform vec3 uShadowAxis;
+        uniform vec3 uShadowOrigin;
+        uniform float uMoonRadius;
+        uniform float uUmbraSlope;
+        uniform float uPenumbraSlope;
+
+        vec3 solarEclipseFactor(vec3 normal) {
+            vec3 w = normal - uShadowOrigin;
+            float z = dot(w, uShadowAxis);
+            if (z <= 0.0) return vec3(1.0);
+            float d = length(w - z * uShadowAxis);
+            float umbra = uMoonRadius - z * uUmbraSlope;
+            float penumbra = uMoonRadius + z * uPenumbraSlope;
+            float core = abs(umbra);
+            float sunVisible = clamp((d - core) / max(penumbra - core, 1e-4), 0.0, 1.0);
+            float coreLight = umbra > 0.0 ? 0.0 : 0.1;
+            return vec3(mix(coreLight, 1.0, sunVisible));
+        }
+    `, 'solarEclipseFactor(normalize(vEclipseNormal))');
+}
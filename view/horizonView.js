@@ -0,0 +1,234 @@
+import * as THREE from 'three';
+import { CSS2DRenderer, CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import { applyLunarEclipseShading } from './eclipseShading.js';
+import { applyLunarReflectance } from './lunarShading.js';
+
+// --- Local horizon (planetarium) view ---
+// The sky as seen by the observer standing on Earth's surface: ground,
+// horizon and compass points, with the Sun and Moon at their true
+// altitude/azimuth and the Moon lit from the Sun's true direction, so its
+// phase (and any lunar eclipse) shows in place. Everything is fed in the
+// observer's local [east, north, up] axes (astro/observer.js); in the scene
+// +X is east, +Y up and -Z north.
+
+const GROUND_RADIUS = 100;
+const SKY_RADIUS = 150; // Sun and Moon sit behind the ground so it hides them when set
+// Sun and Moon are drawn at 4x their true angular size (~0.5 deg) to be visible
+const BODY_SCALE = 4;
+
+const CARDINALS = [
+    { name: '북 N', azimuth: 0 },
+    { name: '동 E', azimuth: 90 },
+    { name: '남 S', azimuth: 180 },
+    { name: '서 W', azimuth: 270 }
+];
+
+// Sky colour by the Sun's altitude; at night the sky goes transparent so the
+// page's star background shows through
+const SKY_STOPS = [
+    { altitude: -18, color: new THREE.Color(0x000000), alpha: 0 },
+    { altitude: -6, color: new THREE.Color(0x1a2a4a), alpha: 0.7 },
+    { altitude: 0, color: new THREE.Color(0x4a6d9c), alpha: 1 },
+    { altitude: 10, color: new THREE.Color(0x6fa3dc), alpha: 1 }
+];
+
+function localToScene(v, target = new THREE.Vector3()) {
+    return target.set(v[0], v[2], -v[1]);
+}
+
+function azAltToScene(azimuth, altitude, dist, target = new THREE.Vector3()) {
+    const az = THREE.MathUtils.degToRad(azimuth);
+    const alt = THREE.MathUtils.degToRad(altitude);
+    return target.set(
+        dist * Math.cos(alt) * Math.sin(az),
+        dist * Math.sin(alt),
+        -dist * Math.cos(alt) * Math.cos(az)
+    );
+}
+
+function createLabel(text) {
+    const div = document.createElement('div');
+    div.className = 'planet-label';
+    div.textContent = text;
+    return new CSS2DObject(div);
+}
+
+// Sets `color` for the Sun's altitude and returns the sky's opacity
+function skyAt(sunAltitude, color) {
+    const last = SKY_STOPS.length - 1;
+    const i = SKY_STOPS.findIndex((stop) => sunAltitude <= stop.altitude);
+    if (i === 0 || i === -1) {
+        const stop = SKY_STOPS[i === 0 ? 0 : last];
+        color.copy(stop.color);
+        return stop.alpha;
+    }
+    const a = SKY_STOPS[i - 1];
+    const b = SKY_STOPS[i];
+    const k = (sunAltitude - a.altitude) / (b.altitude - a.altitude);
+    color.lerpColors(a.color, b.color, k);
+    return THREE.MathUtils.lerp(a.alpha, b.alpha, k);
+}
+
+export function createHorizonView(container, moonTexture) {
+    const scene = new THREE.Scene();
+    const camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 1000);
+    camera.rotation.order = 'YXZ'; // Yaw about the vertical, then pitch
+    let yaw = 0;
+    let pitch = 0;
+
+    const labelRenderer = new CSS2DRenderer();
+    labelRenderer.setSize(window.innerWidth, window.innerHeight);
+    labelRenderer.domElement.style.position = 'absolute';
+    labelRenderer.domElement.style.top = '0px';
+    labelRenderer.domElement.style.pointerEvents = 'none';
+    labelRenderer.domElement.style.display = 'none';
+    container.appendChild(labelRenderer.domElement);
+
+    // Ground: the lower half of a sphere around the observer
+    const ground = new THREE.Mesh(
+        new THREE.SphereGeometry(GROUND_RADIUS, 64, 16, 0, Math.PI * 2, Math.PI / 2, Math.PI / 2),
+        new THREE.MeshBasicMaterial({ color: 0x16200f, side: THREE.BackSide })
+    );
+    scene.add(ground);
+
+    const horizonPoints = [];
+    for (let i = 0; i <= 128; i++) {
+        horizonPoints.push(azAltToScene((i / 128) * 360, 0, GROUND_RADIUS * 0.99));
+    }
+    scene.add(new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(horizonPoints),
+        new THREE.LineBasicMaterial({ color: 0x88aa88 })
+    ));
+
+    for (const { name, azimuth } of CARDINALS) {
+        const label = createLabel(name);
+        azAltToScene(azimuth, 2, GROUND_RADIUS * 0.9, label.position);
+        scene.add(label);
+    }
+
+    // Sun
+    const sunMesh = new THREE.Mesh(
+        new THREE.SphereGeometry(1, 32, 32),
+        new THREE.MeshBasicMaterial({ color: 0xffee88 })
+    );
+    const sunLabel = createLabel('태양 (Sun)');
+    scene.add(sunMesh, sunLabel);
+
+    // Moon, with its near side (texture centre, local +X) turned to face +Z
+    // so lookAt() points it at the observer
+    const moonGeo = new THREE.SphereGeometry(1, 64, 64);
+    moonGeo.rotateY(-Math.PI / 2);
+    const moonMat = new THREE.MeshStandardMaterial({ map: moonTexture, roughness: 0.9, metalness: 0 });
+    applyLunarReflectance(moonMat);
+    const eclipseUniforms = applyLunarEclipseShading(moonMat);
+    const moonMesh = new THREE.Mesh(moonGeo, moonMat);
+    const moonLabel = createLabel('달 (Moon)');
+    scene.add(moonMesh, moonLabel);
+
+    // Tonight's track of the Moon (see setMoonPath); the ground hides the
+    // part below the horizon
+    const moonPath = new THREE.Line(
+        new THREE.BufferGeometry(),
+        new THREE.LineDashedMaterial({ color: 0xf2e6a0, dashSize: 2, gapSize: 2, transparent: true, opacity: 0.6 })
+    );
+    scene.add(moonPath);
+
+    const sunlight = new THREE.DirectionalLight(0xffffff, 3);
+    sunlight.target = moonMesh;
+    scene.add(sunlight);
+    scene.add(new THREE.AmbientLight(0x111111));
+
+    const skyColor = new THREE.Color();
+    let skyAlpha = 0;
+    const savedClearColor = new THREE.Color();
+    const moonDir = new THREE.Vector3();
+
+    function placeBody(mesh, label, position, radiusKm) {
+        const distKm = Math.hypot(position[0], position[1], position[2]);
+        localToScene(position, mesh.position).multiplyScalar(SKY_RADIUS / distKm);
+        mesh.scale.setScalar(SKY_RADIUS * Math.asin(radiusKm / distKm) * BODY_SCALE);
+        label.position.copy(mesh.position);
+        label.position.y += mesh.scale.y * 1.8;
+    }
+
+    function updateCamera() {
+        camera.rotation.set(pitch, yaw, 0);
+    }
+
+    return {
+        scene,
+        camera,
+
+        // sun, moon: topocentric positions in local [east, north, up] km;
+        // pole: direction of the celestial north pole in the same axes;
+        // sunAltitude in degrees; earthShadow: the Moon's eclipse uniforms
+        // ({ axis, offset, umbraRadius, penumbraRadius }) in local axes
+        update({ sun, moon, sunRadiusKm, moonRadiusKm, pole, sunAltitude, earthShadow }) {
+            placeBody(sunMesh, sunLabel, sun, sunRadiusKm);
+            placeBody(moonMesh, moonLabel, moon, moonRadiusKm);
+
+            // Parallel light along the Moon-to-Sun direction
+            localToScene([sun[0] - moon[0], sun[1] - moon[1], sun[2] - moon[2]], sunlight.position)
+                .normalize().multiplyScalar(10).add(moonMesh.position);
+
+            // Near side to the observer, lunar north towards the celestial pole
+            localToScene(pole, moonMesh.up);
+            moonMesh.lookAt(0, 0, 0);
+
+            localToScene(earthShadow.axis, eclipseUniforms.uShadowAxis.value);
+            localToScene(earthShadow.offset, eclipseUniforms.uShadowOffset.value);
+            eclipseUniforms.uUmbraRadius.value = earthShadow.umbraRadius;
+            eclipseUniforms.uPenumbraRadius.value = earthShadow.penumbraRadius;
+
+            skyAlpha = skyAt(sunAltitude, skyColor);
+        },
+
+        // samples: [{ moonAzimuth, moonAltitude }] in degrees (getNightTimeline)
+        setMoonPath(samples) {
+            const points = samples.map((s) => azAltToScene(s.moonAzimuth, s.moonAltitude, SKY_RADIUS * 0.98));
+            moonPath.geometry.dispose();
+            moonPath.geometry = new THREE.BufferGeometry().setFromPoints(points);
+            moonPath.computeLineDistances();
+        },
+
+        // Turn to face a local [east, north, up] direction
+        lookToward(v) {
+            localToScene(v, moonDir).normalize();
+            yaw = Math.atan2(-moonDir.x, -moonDir.z);
+            pitch = THREE.MathUtils.clamp(Math.asin(moonDir.y), 0, Math.PI / 3);
+            updateCamera();
+        },
+
+        // Look around by a drag of (dx, dy) pixels
+        dragBy(dx, dy) {
+            const radPerPixel = THREE.MathUtils.degToRad(camera.fov) / window.innerHeight;
+            yaw += dx * radPerPixel;
+            pitch = THREE.MathUtils.clamp(pitch + dy * radPerPixel, -Math.PI / 2, Math.PI / 2);
+            updateCamera();
+        },
+
+        zoomBy(deltaFov) {
+            camera.fov = THREE.MathUtils.clamp(camera.fov + deltaFov, 10, 100);
+            camera.updateProjectionMatrix();
+        },
+
+        setActive(active) {
+            labelRenderer.domElement.style.display = active ? '' : 'none';
+        },
+
+        resize(w, h) {
+            camera.aspect = w / h;
+            camera.updateProjectionMatrix();
+            labelRenderer.setSize(w, h);
+        },
+
+        render(renderer) {
+            renderer.getClearColor(savedClearColor);
+            const savedAlpha = renderer.getClearAlpha();
+            renderer.setClearColor(skyColor, skyAlpha);
+            renderer.render(scene, camera);
+            renderer.setClearColor(savedClearColor, savedAlpha);
+            labelRenderer.render(scene, camera);
+        }
+    };
+}
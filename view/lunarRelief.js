@@ -0,0 +1,103 @@
+import * as THREE from 'three';
+import { addShaderPatch, worldNormalVertex } from './materialPatches.js';
+import { MOON_RADIUS_KM } from '../astro/shadows.js';
+
+// --- Lunar relief ---
+// Height-map shading for the Moon: the map tilts the surface normals (three.js
+// bump mapping), and a short ray march towards the Sun over the same map lets
+// crater rims and mountains cast shadows, which grow long near the
+// terminator. The Sun's disc (~0.53 deg) softens their edges. Shadows are
+// cast from the first directional light, taken to be the Sun. Relief is
+// shading only: at true scale it would move the limb by less than a pixel.
+//
+// The map is an equirectangular grey-scale elevation image in the same
+// layout as the colour map (u = longitude from -180 deg, v = latitude), black
+// at the lowest point and white at the highest. The bundled
+// public/moon_elevation.jpg is derived from LOLA's gridded topography (NASA
+// SVS CGI Moon Kit).
+//   uHeightMap     the elevation image
+//   uHasHeightMap  1 once uHeightMap is loaded, else 0
+//   uHeightRange   height between black and white, in Moon radii
+
+export const MOON_ELEVATION_URL = './moon_elevation.jpg';
+
+// Lowest to highest point in LOLA's topography, about -9.1 to +10.8 km
+export const LOLA_RELIEF_KM = 19.9;
+const SUN_ANGULAR_DIAMETER = THREE.MathUtils.degToRad(0.53).toFixed(5);
+const SHADOW_STEPS = 32;
+
+export function applyLunarRelief(material) {
+    const uniforms = {
+        uHeightMap: { value: null },
+        uHasHeightMap: { value: 0 },
+        uHeightRange: { value: LOLA_RELIEF_KM / MOON_RADIUS_KM }
+    };
+
+    addShaderPatch(material, 'lunar-relief', (shader) => {
+        Object.assign(shader.uniforms, uniforms);
+
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', '#include <common>\nvarying vec3 vReliefNormal;\nvarying vec3 vReliefPole;')
+            .replace('#include <beginnormal_vertex>', worldNormalVertex('vReliefNormal') +
+                '\nvReliefPole = normalize(mat3(modelMatrix) * vec3(0.0, 1.0, 0.0));'); // Geometry north
+
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', /* glsl */ `#include <common>
+                varying vec3 vReliefNormal;
+                varying vec3 vReliefPole;
+                uniform sampler2D uHeightMap;
+                uniform float uHasHeightMap;
+                uniform float uHeightRange;
+
+                // Share of the Sun's disc seen over the terrain towards it.
+                // Distances are in Moon radii along the surface; the ray to the
+                // Sun climbs by s tan(elevation), and the ground falls away
+                // under it by s^2 / 2 with the curvature.
+                float reliefShadow(vec3 normal, vec3 toSun, vec2 uv) {
+                    if (uHasHeightMap < 0.5) return 1.0;
+                    vec3 east = normalize(cross(normalize(vReliefPole), normal));
+                    vec3 north = cross(normal, east);
+                    vec2 along = vec2(dot(toSun, east), dot(toSun, north));
+                    float horizontal = max(length(along), 1e-4);
+                    float tanElevation = dot(toSun, normal) / horizontal;
+                    along /= horizontal;
+
+                    float cosLat = max(cos((uv.y - 0.5) * PI), 0.05);
+                    vec2 uvPerRadius = vec2(along.x / (2.0 * PI * cosLat), along.y / PI);
+                    // Nothing further away can reach above the ray
+                    float reach = sqrt(2.0 * uHeightRange);
+                    float h0 = textureLod(uHeightMap, uv, 0.0).r;
+                    float visible = 1.0;
+                    for (int i = 1; i <= ${SHADOW_STEPS}; i++) {
+                        float s = reach * float(i) / ${SHADOW_STEPS}.0;
+                        float rise = (textureLod(uHeightMap, uv + uvPerRadius * s, 0.0).r - h0) * uHeightRange;
+                        float ray = s * tanElevation + 0.5 * s * s;
+                        visible = min(visible, clamp(0.5 - (rise - ray) / (s * ${SUN_ANGULAR_DIAMETER}), 0.0, 1.0));
+                    }
+                    return visible;
+                }`)
+            .replace('#include <lights_fragment_end>', /* glsl */ `#include <lights_fragment_end>
+                #if defined( USE_MAP ) && NUM_DIR_LIGHTS > 0
+                    float reliefLight = reliefShadow(normalize(vReliefNormal),
+                        normalize((vec4(directionalLights[0].direction, 0.0) * viewMatrix).xyz), vMapUv);
+                    reflectedLight.directDiffuse *= reliefLight;
+                    reflectedLight.directSpecular *= reliefLight;
+                #endif`);
+    });
+    return uniforms;
+}
+
+// Load the elevation map into the relief uniforms and as the material's bump
+// map. `radius` is the mesh's radius in scene units.
+export function loadLunarRelief(material, uniforms, url, radius, textureLoader = new THREE.TextureLoader()) {
+    textureLoader.load(url, (texture) => {
+        texture.wrapS = THREE.RepeatWrapping;
+        uniforms.uHeightMap.value = texture;
+        uniforms.uHasHeightMap.value = 1;
+        material.bumpMap = texture;
+        material.bumpScale = uniforms.uHeightRange.value * radius;
+        material.needsUpdate = true;
+    }, undefined, () => {
+        uniforms.uHasHeightMap.value = 0;
+    });
+}
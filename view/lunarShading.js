@@ -0,0 +1,52 @@
+import * as THREE from 'three';
+import { addShaderPatch } from './materialPatches.js';
+
+// --- Lunar surface reflectance ---
+// The lunar regolith is not a Lambert surface: a full moon is nearly as
+// bright at the limb as at the centre, and it brightens sharply in the last
+// few degrees before opposition. This patch swaps MeshStandardMaterial's
+// direct diffuse term for the Lommel-Seeliger law, mu0 / (mu0 + mu), times
+// Hapke's shadow-hiding opposition surge, 1 + B0 / (1 + tan(alpha/2) / h).
+// The phase angle alpha is taken at the body's centre, as it is for a
+// distant viewer, so a close-up camera doesn't put a hot spot mid-disc.
+// It is scaled to match the Lambert material at the centre of the disc at
+// exact opposition, so the texture is never pushed past its own brightness.
+//   uOppositionAmplitude   B0, extra brightness at zero phase angle
+//   uOppositionWidth       h, angular width of the surge
+
+export function applyLunarReflectance(material) {
+    const uniforms = {
+        uOppositionAmplitude: { value: 1.0 },
+        uOppositionWidth: { value: 0.05 }
+    };
+
+    addShaderPatch(material, 'lunar-reflectance', (shader) => {
+        Object.assign(shader.uniforms, uniforms);
+
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', '#include <common>\nvarying vec3 vLunarCentreViewDir;')
+            .replace('#include <project_vertex>', /* glsl */ `#include <project_vertex>
+                vLunarCentreViewDir = normalize(-(modelViewMatrix * vec4(0.0, 0.0, 0.0, 1.0)).xyz);`);
+
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', /* glsl */ `#include <common>
+                varying vec3 vLunarCentreViewDir;
+                uniform float uOppositionAmplitude;
+                uniform float uOppositionWidth;`)
+            .replace('#include <lights_physical_pars_fragment>', /* glsl */ `#include <lights_physical_pars_fragment>
+                void RE_Direct_Lunar( const in IncidentLight directLight, const in vec3 geometryPosition, const in vec3 geometryNormal, const in vec3 geometryViewDir, const in vec3 geometryClearcoatNormal, const in PhysicalMaterial material, inout ReflectedLight reflectedLight ) {
+                    float mu0 = saturate(dot(geometryNormal, directLight.direction));
+                    float mu = saturate(dot(geometryNormal, geometryViewDir));
+                    float lommelSeeliger = mu0 / max(mu0 + mu, 1e-4);
+
+                    float phaseAngle = acos(clamp(dot(directLight.direction, normalize(vLunarCentreViewDir)), -1.0, 1.0));
+                    float surge = 1.0 + uOppositionAmplitude / (1.0 + tan(0.5 * min(phaseAngle, 3.0)) / uOppositionWidth);
+
+                    reflectedLight.directDiffuse += directLight.color * BRDF_Lambert(material.diffuseColor)
+                        * 2.0 * lommelSeeliger * surge / (1.0 + uOppositionAmplitude);
+                }
+                #undef RE_Direct
+                #define RE_Direct RE_Direct_Lunar`);
+    });
+    return uniforms;
+}
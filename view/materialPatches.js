@@ -0,0 +1,26 @@
+// --- Material shader patches ---
+// Several features patch the same built-in three.js material (eclipse
+// shading, day/night blending, ...). Each patch is chained after the ones
+// already on the material, and the program cache key lists them all so
+// three.js compiles one program per combination rather than reusing a
+// program built with a different set of patches.
+
+export function addShaderPatch(material, name, patch) {
+    const previous = material.onBeforeCompile;
+    const names = [...(material.userData.shaderPatches || []), name];
+    material.userData.shaderPatches = names;
+    material.customProgramCacheKey = () => names.join('+');
+    material.onBeforeCompile = (shader, renderer) => {
+        previous.call(material, shader, renderer);
+        patch(shader);
+    };
+    material.needsUpdate = true;
+}
+
+// Vertex snippet for a world-space normal varying (declare it in both stages)
+export function worldNormalVertex(varyingName) {
+    return /* glsl */ `
+        #include <beginnormal_vertex>
+        ${varyingName} = normalize(mat3(modelMatrix) * objectNormal);
+    `;
+}
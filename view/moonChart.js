@@ -0,0 +1,164 @@
+import { skyColor } from './dayTimeline.js';
+import { getZonedParts } from '../astro/timeZone.js';
+
+// --- Nightly Moon altitude chart and sky path ---
+// Two 2D canvas plots of getNightTimeline() (noon to noon): the Moon's
+// altitude against time over the twilight bands, with the Sun's altitude
+// behind it, and the Moon's track across the sky dome seen from above
+// (zenith in the middle, horizon at the rim, north up, east left as when
+// looking up at the sky).
+
+const MIN_ALTITUDE = -30;
+const MAX_ALTITUDE = 90;
+const MOON_COLOR = '#f2e6a0';
+const SUN_COLOR = 'rgba(255, 170, 60, 0.7)';
+const NOW_COLOR = '#ff4d4d';
+const COMPASS = ['북', '북동', '동', '남동', '남', '남서', '서', '북서'];
+
+function compassPoint(azimuth) {
+    return COMPASS[Math.round(azimuth / 45) % 8];
+}
+
+function nearestSample(samples, now) {
+    let best = null;
+    for (const sample of samples) {
+        if (!best || Math.abs(sample.time - now) < Math.abs(best.time - now)) best = sample;
+    }
+    return best;
+}
+
+export function drawMoonAltitudeChart(canvas, night, now) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const { start, end, samples } = night;
+    const left = 26;
+    const bottom = height - 14;
+    const xAt = (t) => left + ((t - start) / (end - start)) * (width - left);
+    const yAt = (alt) => bottom - ((alt - MIN_ALTITUDE) / (MAX_ALTITUDE - MIN_ALTITUDE)) * bottom;
+
+    ctx.clearRect(0, 0, width, height);
+
+    // Twilight bands from the Sun's altitude
+    for (let i = 0; i < samples.length - 1; i++) {
+        const x0 = xAt(samples[i].time);
+        const x1 = xAt(samples[i + 1].time);
+        ctx.fillStyle = skyColor((samples[i].sunAltitude + samples[i + 1].sunAltitude) / 2);
+        ctx.fillRect(x0, 0, x1 - x0 + 0.5, bottom);
+    }
+
+    // Altitude grid, horizon emphasised
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let alt = MIN_ALTITUDE; alt <= MAX_ALTITUDE; alt += 30) {
+        ctx.fillStyle = alt === 0 ? 'rgba(255, 255, 255, 0.7)' : 'rgba(255, 255, 255, 0.15)';
+        ctx.fillRect(left, Math.round(yAt(alt)), width - left, 1);
+        ctx.fillStyle = '#aaa';
+        ctx.fillText(`${alt}°`, left - 3, Math.min(Math.max(yAt(alt), 5), bottom - 5));
+    }
+
+    const curve = (key, color) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        samples.forEach((sample, i) => {
+            const y = yAt(Math.max(sample[key], MIN_ALTITUDE));
+            if (i === 0) ctx.moveTo(xAt(sample.time), y);
+            else ctx.lineTo(xAt(sample.time), y);
+        });
+        ctx.stroke();
+    };
+    curve('sunAltitude', SUN_COLOR);
+    curve('moonAltitude', MOON_COLOR);
+
+    // Hour labels along the bottom, with the Moon's compass direction every
+    // 3 h while it is up
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (const sample of samples) {
+        const { hour, minute } = getZonedParts(sample.time, night.timeZone);
+        if (minute !== 0 || hour % 3 !== 0) continue;
+        const x = xAt(sample.time);
+        ctx.fillStyle = '#aaa';
+        ctx.fillText(String(hour), x, bottom + 2);
+        if (sample.moonAltitude > 0) {
+            ctx.fillStyle = MOON_COLOR;
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(compassPoint(sample.moonAzimuth), x, yAt(sample.moonAltitude) - 3);
+            ctx.textBaseline = 'top';
+        }
+    }
+
+    if (now >= start && now <= end) {
+        ctx.fillStyle = NOW_COLOR;
+        ctx.fillRect(Math.round(xAt(now)) - 1, 0, 2, bottom);
+    }
+}
+
+export function drawSkyPath(canvas, night, now) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const cx = width / 2;
+    const cy = height / 2;
+    const radius = Math.min(cx, cy) - 12;
+    // Altitude 90 at the centre, 0 on the rim; east on the left
+    const toXY = (azimuth, altitude) => {
+        const r = radius * (1 - altitude / 90);
+        const az = azimuth * Math.PI / 180;
+        return [cx - r * Math.sin(az), cy - r * Math.cos(az)];
+    };
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = '#0b1226';
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    for (const alt of [30, 60]) {
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius * (1 - alt / 90), 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    ctx.fillStyle = '#aaa';
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (const [label, az] of [['북', 0], ['동', 90], ['남', 180], ['서', 270]]) {
+        const [x, y] = toXY(az, -90 * 8 / radius); // Just outside the rim
+        ctx.fillText(label, x, y);
+    }
+
+    // Track while the Moon is up, an hour dot on each hour
+    ctx.strokeStyle = MOON_COLOR;
+    ctx.fillStyle = MOON_COLOR;
+    ctx.lineWidth = 2;
+    let drawing = false;
+    ctx.beginPath();
+    for (const sample of night.samples) {
+        if (sample.moonAltitude < 0) {
+            drawing = false;
+            continue;
+        }
+        const [x, y] = toXY(sample.moonAzimuth, sample.moonAltitude);
+        if (drawing) ctx.lineTo(x, y);
+        else ctx.moveTo(x, y);
+        drawing = true;
+    }
+    ctx.stroke();
+    for (const sample of night.samples) {
+        if (sample.moonAltitude < 0 || getZonedParts(sample.time, night.timeZone).minute !== 0) continue;
+        const [x, y] = toXY(sample.moonAzimuth, sample.moonAltitude);
+        ctx.fillRect(x - 1.5, y - 1.5, 3, 3);
+    }
+
+    const current = nearestSample(night.samples, now);
+    if (current && current.moonAltitude >= 0 && now >= night.start && now <= night.end) {
+        const [x, y] = toXY(current.moonAzimuth, current.moonAltitude);
+        ctx.fillStyle = NOW_COLOR;
+        ctx.beginPath();
+        ctx.arc(x, y, 4, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
@@ -0,0 +1,147 @@
+import * as THREE from 'three';
+import { LUNAR_FEATURES } from '../astro/lunarFeatures.js';
+import { MOON_ELEVATION_URL } from './lunarRelief.js';
+
+// --- Lunar map layers ---
+// The maps the Moon can wear. Each layer either loads an image from public/
+// (optionally recoloured on a canvas) or draws itself, and all are
+// equirectangular: u = longitude from -180 deg, v = latitude, so they line
+// up with one another. moon.jpg is the LROC WAC colour mosaic (NASA SVS CGI
+// Moon Kit). moon_geology.jpg (the USGS Unified Geologic Map of the Moon,
+// reprojected) is not bundled yet. A layer whose file is missing reports
+// failure and the previous map stays.
+//   url       image in public/ to load
+//   toCanvas  recolours the loaded image, returns a canvas
+//   draw      draws the whole map, returns a canvas (no file needed)
+
+export const MOON_LAYERS = [
+    { id: 'albedo', name: '실제 모습 (알베도)', url: './moon.jpg' },
+    { id: 'elevation', name: '고도 (LOLA, 색상)', url: MOON_ELEVATION_URL, toCanvas: colorizeElevation },
+    { id: 'geology', name: '지질 단위 (USGS)', url: './moon_geology.jpg' },
+    { id: 'nomenclature', name: '지명', draw: drawNomenclature }
+];
+
+export const DEFAULT_MOON_LAYER_ID = 'albedo';
+
+export function findMoonLayer(id) {
+    return MOON_LAYERS.find((layer) => layer.id === id) || null;
+}
+
+// Hypsometric tints from the lowest (0) to the highest (1) ground
+const ELEVATION_STOPS = [
+    [0, new THREE.Color(0x1a237e)],
+    [0.25, new THREE.Color(0x1e88e5)],
+    [0.45, new THREE.Color(0x43a047)],
+    [0.6, new THREE.Color(0xfdd835)],
+    [0.8, new THREE.Color(0xe53935)],
+    [1, new THREE.Color(0xffffff)]
+];
+
+function elevationColor(h, target) {
+    const i = ELEVATION_STOPS.findIndex(([stop]) => h <= stop);
+    if (i <= 0) return target.copy(ELEVATION_STOPS[0][1]);
+    const [h0, c0] = ELEVATION_STOPS[i - 1];
+    const [h1, c1] = ELEVATION_STOPS[i];
+    return target.lerpColors(c0, c1, (h - h0) / (h1 - h0));
+}
+
+// The grey-scale elevation map (see view/lunarRelief.js) in colour
+function colorizeElevation(image) {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const data = pixels.data;
+    const color = new THREE.Color();
+    for (let i = 0; i < data.length; i += 4) {
+        elevationColor(data[i] / 255, color);
+        data[i] = color.r * 255;
+        data[i + 1] = color.g * 255;
+        data[i + 2] = color.b * 255;
+    }
+    ctx.putImageData(pixels, 0, 0);
+    return canvas;
+}
+
+// A graticule every 30 deg with the features of astro/lunarFeatures.js
+function drawNomenclature() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 2048;
+    canvas.height = 1024;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const toXY = (lat, lon) => [(lon + 180) / 360 * width, (90 - lat) / 180 * height];
+
+    ctx.fillStyle = '#3a3c42';
+    ctx.fillRect(0, 0, width, height);
+
+    for (let lon = -150; lon < 180; lon += 30) {
+        ctx.fillStyle = lon === 0 ? 'rgba(255, 255, 255, 0.5)' : 'rgba(255, 255, 255, 0.15)';
+        ctx.fillRect(Math.round(toXY(0, lon)[0]), 0, 2, height);
+    }
+    for (let lat = -60; lat <= 60; lat += 30) {
+        ctx.fillStyle = lat === 0 ? 'rgba(255, 255, 255, 0.5)' : 'rgba(255, 255, 255, 0.15)';
+        ctx.fillRect(0, Math.round(toXY(lat, 0)[1]), width, 2);
+    }
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (const { name, lat, lon, type } of LUNAR_FEATURES) {
+        const [x, y] = toXY(lat, lon);
+        if (type === 'mare' || type === 'basin') {
+            ctx.font = type === 'mare' ? 'bold 30px sans-serif' : 'italic bold 34px sans-serif';
+            ctx.fillStyle = type === 'mare' ? '#9ecbff' : '#c5a3ff';
+            ctx.fillText(name, x, y);
+            continue;
+        }
+        ctx.fillStyle = type === 'site' ? '#ff8a65' : '#f2e6a0';
+        ctx.beginPath();
+        ctx.arc(x, y, 6, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.font = '22px sans-serif';
+        ctx.fillText(name, x, y + 22);
+    }
+    return canvas;
+}
+
+// Switches the map on a set of Moon materials. Textures are kept once
+// made, so switching back is instant. show(id, onDone) calls onDone(true)
+// once the layer is on, or onDone(false) if its file couldn't be loaded; a
+// layer that arrives after another was asked for is kept but not shown.
+export function createMoonLayerSwitcher(materials, textureLoader = new THREE.TextureLoader()) {
+    const textures = new Map();
+    let wanted = null;
+
+    function apply(id, texture, onDone) {
+        textures.set(id, texture);
+        if (wanted !== id) return;
+        for (const material of materials) {
+            material.map = texture;
+            material.needsUpdate = true; // USE_MAP may switch on
+        }
+        onDone(true);
+    }
+
+    return {
+        show(id, onDone = () => {}) {
+            const layer = findMoonLayer(id);
+            if (!layer) return onDone(false);
+            wanted = id;
+            if (textures.has(id)) return apply(id, textures.get(id), onDone);
+            if (layer.draw) return apply(id, new THREE.CanvasTexture(layer.draw()), onDone);
+
+            textureLoader.load(layer.url, (texture) => {
+                if (layer.toCanvas) {
+                    const canvas = layer.toCanvas(texture.image);
+                    texture.dispose();
+                    texture = new THREE.CanvasTexture(canvas);
+                }
+                apply(id, texture, onDone);
+            }, undefined, () => {
+                if (wanted === id) onDone(false);
+            });
+        }
+    };
+}
@@ -0,0 +1,123 @@
+import * as THREE from 'three';
+
+// --- Shadow cone overlay ---
+// Translucent umbra/penumbra cones cast by a body away from the Sun.
+// The scene squeezes the Earth-Moon distance far more than the bodies
+// themselves, so a cone drawn to scale around the scene Moon would swallow it
+// every month. Instead each cone is drawn in textbook proportions (radii to
+// scale with its caster, lengths squeezed like the orbit), and a ghost outline
+// of the target body marks where the target really passes the cone, from the
+// true-scale geometry in astro/shadows.js.
+
+const UP = new THREE.Vector3(0, 1, 0);
+const CONE_SEGMENTS = 48;
+const RING_SEGMENTS = 96;
+
+function createRing(color) {
+    const points = [];
+    for (let i = 0; i < RING_SEGMENTS; i++) {
+        const a = (i / RING_SEGMENTS) * Math.PI * 2;
+        points.push(new THREE.Vector3(Math.cos(a), 0, Math.sin(a)));
+    }
+    const geo = new THREE.BufferGeometry().setFromPoints(points);
+    const mat = new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.8, depthWrite: false });
+    return new THREE.LineLoop(geo, mat);
+}
+
+function createConeMesh(color, opacity) {
+    const mat = new THREE.MeshBasicMaterial({
+        color,
+        transparent: true,
+        opacity,
+        side: THREE.DoubleSide,
+        depthWrite: false
+    });
+    // Open unit cylinder (radius 1, height 1); setFrustum sizes its two rims
+    const geo = new THREE.CylinderGeometry(1, 1, 1, CONE_SEGMENTS, 1, true);
+    const mesh = new THREE.Mesh(geo, mat);
+    mesh.userData.unitPositions = geo.attributes.position.array.slice();
+    return mesh;
+}
+
+// Fit a frustum between distances s0 and s1 along the group's +Y. The rims
+// are resized in place, so the GPU buffer is only updated, not reallocated.
+function setFrustum(mesh, s0, r0, s1, r1) {
+    mesh.visible = s1 > s0;
+    if (!mesh.visible) return;
+    const unit = mesh.userData.unitPositions;
+    const position = mesh.geometry.attributes.position;
+    for (let i = 0; i < position.count; i++) {
+        const r = Math.abs(unit[i * 3 + 1] > 0 ? r1 : r0);
+        position.setXYZ(i, unit[i * 3] * r, unit[i * 3 + 1], unit[i * 3 + 2] * r);
+    }
+    position.needsUpdate = true;
+    mesh.geometry.computeBoundingSphere();
+    mesh.scale.set(1, s1 - s0, 1);
+    mesh.position.set(0, (s0 + s1) / 2, 0);
+}
+
+// One caster's cones, plus a ghost of the target body (targetRadius in scene units)
+export function createShadowCone(targetRadius) {
+    const group = new THREE.Group(); // +Y is the shadow axis, origin at the caster
+
+    const penumbra = createConeMesh(0x6666aa, 0.12);
+    const umbra = createConeMesh(0x000000, 0.45);
+    const antumbra = createConeMesh(0x332211, 0.3);
+    group.add(penumbra, umbra, antumbra);
+
+    const umbraRing = createRing(0xff5533);
+    const penumbraRing = createRing(0xaaaaff);
+    group.add(umbraRing, penumbraRing);
+
+    const ghost = new THREE.Mesh(
+        new THREE.SphereGeometry(targetRadius, 24, 16),
+        new THREE.MeshBasicMaterial({ color: 0xffffff, wireframe: true, transparent: true, opacity: 0.35, depthWrite: false })
+    );
+    group.add(ghost);
+
+    const offset = new THREE.Vector3();
+
+    // casterPos / targetPos / sunPos  world positions of the scene meshes
+    // casterRadius  caster's scene radius
+    // kmPerUnit     how many true km one scene unit along the axis stands for
+    //               (the Earth-Moon squeeze)
+    // shadow        descriptor from getEarthShadow / getMoonShadow
+    // toScene(v, scale, target)  ecliptic km vector -> scene vector
+    function update({ casterPos, targetPos, sunPos, casterRadius, kmPerUnit, shadow, toScene }) {
+        const axis = casterPos.clone().sub(sunPos).normalize();
+        group.position.copy(casterPos);
+        group.quaternion.setFromUnitVectors(UP, axis);
+
+        // Radii use the caster's own scale
+        const kmToScene = casterRadius / shadow.casterRadius;
+        const targetScene = offset.copy(targetPos).sub(casterPos).dot(axis);
+        const targetAhead = targetScene > 0 && shadow.targetDistance > 0;
+        const radiusAt = (s, slope) => (shadow.casterRadius + s * kmPerUnit * slope) * kmToScene;
+
+        const length = Math.max(targetScene, 0) * 1.5 + casterRadius * 4;
+        const tip = shadow.umbraLength / kmPerUnit;
+
+        setFrustum(penumbra, 0, casterRadius, length, radiusAt(length, shadow.penumbraSlope));
+        setFrustum(umbra, 0, casterRadius, Math.min(tip, length), radiusAt(Math.min(tip, length), -shadow.umbraSlope));
+        setFrustum(antumbra, tip, 0, length, radiusAt(length, -shadow.umbraSlope));
+
+        // Where the cones cross the target's distance, and where the target
+        // really is relative to them
+        umbraRing.visible = penumbraRing.visible = ghost.visible = targetAhead;
+        if (!targetAhead) return;
+
+        const umbraRadius = radiusAt(targetScene, -shadow.umbraSlope);
+        umbraRing.position.set(0, targetScene, 0);
+        umbraRing.scale.setScalar(Math.max(Math.abs(umbraRadius), 1e-3));
+        penumbraRing.position.set(0, targetScene, 0);
+        penumbraRing.scale.setScalar(radiusAt(targetScene, shadow.penumbraSlope));
+
+        // targetOffset is perpendicular to the true axis; bring it into the
+        // group's frame (scene axes rotated onto +Y)
+        toScene(shadow.targetOffset, kmToScene, offset);
+        offset.applyQuaternion(group.quaternion.clone().invert());
+        ghost.position.set(offset.x, targetScene + offset.y, offset.z);
+    }
+
+    return { group, ghost, update };
+}